@@ -0,0 +1,134 @@
+(function (window) {
+  "use strict";
+
+  /* Saved shipping addresses per account, used by profile.html and the
+     checkout form. localStorage "addressBook":
+       { [userId]: [{ id, label, isDefault, ...AddressAPI.FIELDS }] }
+     Field rules and formatting come from AddressAPI (countries.json). */
+  const STORAGE_KEY = "addressBook";
+  const FIELDS = window.AddressAPI.FIELDS;
+
+  function readBook() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function writeBook(book) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(book));
+    } catch (e) {
+      console.error("Address book save error", e);
+    }
+  }
+
+  function currentUserId() {
+    return window.AuthAPI?.getCurrentUser()?.id || null;
+  }
+
+  // the default address comes first
+  function getAddresses(userId = currentUserId()) {
+    const list = (userId && readBook()[userId]) || [];
+    return list
+      .map((a) => ({
+        id: a.id,
+        label: a.label,
+        isDefault: a.isDefault,
+        ...window.AddressAPI.normalize(a),
+      }))
+      .sort((a, b) => b.isDefault - a.isDefault);
+  }
+
+  function getAddress(id, userId = currentUserId()) {
+    return getAddresses(userId).find((a) => a.id === id) || null;
+  }
+
+  function getDefaultAddress(userId = currentUserId()) {
+    return getAddresses(userId)[0] || null;
+  }
+
+  // an entry with the same contact details, so checkout does not save twice
+  function findMatchingAddress(values, userId = currentUserId()) {
+    const same = (a, b) =>
+      String(a ?? "")
+        .trim()
+        .toLowerCase() ===
+      String(b ?? "")
+        .trim()
+        .toLowerCase();
+    const wanted = window.AddressAPI.normalize(values);
+    return (
+      getAddresses(userId).find((a) =>
+        FIELDS.every((f) => same(a[f], wanted[f])),
+      ) || null
+    );
+  }
+
+  function saveList(userId, list) {
+    writeBook({ ...readBook(), [userId]: list });
+  }
+
+  /* Adds an address, or updates the one with values.id. Returns
+     { ok, address } or { ok: false, errors } (per field, as
+     AddressAPI.validateAddress). */
+  function saveAddress(values, userId = currentUserId()) {
+    if (!userId) return { ok: false, errors: { form: "Please log in." } };
+    const { ok, errors } = window.AddressAPI.validateAddress(values);
+    if (!ok) return { ok, errors };
+
+    const list = getAddresses(userId);
+    const existing = list.find((a) => a.id === values.id);
+    const address = {
+      id:
+        existing?.id ||
+        `addr-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      label: String(values.label || "").trim() || "Address",
+      ...window.AddressAPI.normalize(values),
+      // the first saved address becomes the default
+      isDefault: existing ? existing.isDefault : list.length === 0,
+    };
+    saveList(
+      userId,
+      existing
+        ? list.map((a) => (a.id === address.id ? address : a))
+        : [...list, address],
+    );
+    if (values.isDefault) setDefaultAddress(address.id, userId);
+    return { ok: true, address: getAddress(address.id, userId) };
+  }
+
+  function removeAddress(id, userId = currentUserId()) {
+    const list = getAddresses(userId).filter((a) => a.id !== id);
+    // keep a default while any address is left
+    if (list.length && !list.some((a) => a.isDefault)) list[0].isDefault = true;
+    saveList(userId, list);
+  }
+
+  function setDefaultAddress(id, userId = currentUserId()) {
+    saveList(
+      userId,
+      getAddresses(userId).map((a) => ({ ...a, isDefault: a.id === id })),
+    );
+  }
+
+  // one-line summary for pickers and lists
+  function formatAddress(address) {
+    return [address.name, window.AddressAPI.formatAddress(address)]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  window.AccountAPI = {
+    FIELDS,
+    getAddresses,
+    getAddress,
+    getDefaultAddress,
+    findMatchingAddress,
+    saveAddress,
+    removeAddress,
+    setDefaultAddress,
+    formatAddress,
+  };
+})(window);
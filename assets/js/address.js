@@ -0,0 +1,186 @@
+(function (window) {
+  "use strict";
+
+  const DATA_URL = "assets/data/countries.json";
+  const FIELDS = [
+    "name",
+    "phone",
+    "email",
+    "country",
+    "street",
+    "city",
+    "region",
+    "postcode",
+  ];
+
+  let config = null;
+  let pending = null;
+
+  /* Config shape (assets/data/countries.json):
+     {
+       defaultCountry,
+       countries: [{
+         code, name, regionLabel,
+         phone: { pattern, example },
+         postcode: { label, pattern, example } | null,   // null: not used
+         required: ["street", "city", "region", "postcode"]  // any of these
+       }]
+     }
+     Patterns are matched against the value with spaces, dashes and
+     brackets removed (phone) or trimmed (postcode). */
+  function loadCountries() {
+    if (!pending) {
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          config = Array.isArray(data?.countries) ? data : null;
+          return config;
+        })
+        .catch((err) => {
+          console.error("Error loading countries.json:", err);
+          config = null;
+          return config;
+        });
+    }
+    return pending;
+  }
+
+  // used until countries.json loads, or for a code it does not list
+  const FALLBACK_COUNTRY = {
+    code: "",
+    name: "your country",
+    regionLabel: "Region",
+    phone: { pattern: "^\\+?\\d{7,15}$", example: "+15550123456" },
+    postcode: null,
+    required: ["street", "city"],
+  };
+
+  function getCountries() {
+    return config?.countries || [];
+  }
+
+  function getDefaultCountry() {
+    return config?.defaultCountry || getCountries()[0]?.code || "";
+  }
+
+  function getCountry(code = getDefaultCountry()) {
+    return getCountries().find((c) => c.code === code) || FALLBACK_COUNTRY;
+  }
+
+  function fieldLabel(field, country) {
+    if (field === "region") return country.regionLabel || "Region";
+    if (field === "postcode") return country.postcode?.label || "Postal code";
+    return { street: "Street address", city: "City" }[field] || field;
+  }
+
+  // trimmed values for every field; addresses saved before countries
+  // existed kept everything in one "address" line, which becomes the street
+  function normalize(values = {}) {
+    const v = Object.fromEntries(
+      FIELDS.map((f) => [f, String(values[f] ?? "").trim()]),
+    );
+    if (!v.street && values.address) v.street = String(values.address).trim();
+    if (!v.country) v.country = getDefaultCountry();
+    return v;
+  }
+
+  /* Returns { ok, errors } with one message per invalid field, so each form
+     can place them itself. Every rule comes from the selected country. */
+  function validateAddress(values) {
+    const v = normalize(values);
+    const country = getCountry(v.country);
+    const errors = {};
+
+    if (!v.name) errors.name = "Name is required.";
+
+    const phone = v.phone.replace(/[\s()-]/g, "");
+    if (!phone) errors.phone = "Phone number is required.";
+    else if (!new RegExp(country.phone.pattern).test(phone))
+      errors.phone = `Invalid phone number for ${country.name}, e.g. ${country.phone.example}.`;
+
+    if (!v.email) errors.email = "Email is required.";
+    else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.email))
+      errors.email = "Invalid email.";
+
+    if (getCountries().length && country === FALLBACK_COUNTRY)
+      errors.country = "Please choose a country.";
+
+    country.required.forEach((field) => {
+      if (field === "postcode" && !country.postcode) return;
+      if (!v[field])
+        errors[field] = `${fieldLabel(field, country)} is required.`;
+    });
+    if (!errors.street && v.street && v.street.length < 5)
+      errors.street = "Street address must be at least 5 characters.";
+    if (
+      country.postcode &&
+      v.postcode &&
+      !new RegExp(country.postcode.pattern).test(v.postcode)
+    )
+      errors.postcode = `${country.postcode.label} is not valid, e.g. ${country.postcode.example}.`;
+
+    return { ok: Object.keys(errors).length === 0, errors };
+  }
+
+  // one line for receipts, pickers and order records
+  function formatAddress(values) {
+    const v = normalize(values);
+    const country = getCountry(v.country);
+    const cityLine = [v.city, v.region, v.postcode].filter(Boolean).join(" ");
+    return [v.street, cityLine, country.code ? country.name : ""]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /* Wires any form with [data-field] inputs (see FIELDS) to the country
+     data: fills the country select, and relabels the region and postcode
+     inputs (elements with data-address-label / data-address-row) whenever
+     the country changes. Call update() after filling the form in code. */
+  function bindAddressForm(root) {
+    const input = (field) => root.querySelector(`[data-field="${field}"]`);
+    const select = input("country");
+    if (!select) return { update() {} };
+
+    const selected = select.value || getDefaultCountry();
+    select.innerHTML = getCountries()
+      .map(
+        (c) =>
+          `<option value="${c.code}"${c.code === selected ? " selected" : ""}>${c.name}</option>`,
+      )
+      .join("");
+
+    function update() {
+      if (!select.value) select.value = getDefaultCountry();
+      const country = getCountry(select.value);
+      ["region", "postcode"].forEach((field) => {
+        const label = root.querySelector(`[data-address-label="${field}"]`);
+        // keep the form's own "Label:" / "Label" style
+        if (label)
+          label.textContent =
+            fieldLabel(field, country) +
+            (label.textContent.trim().endsWith(":") ? ":" : "");
+      });
+      const row = root.querySelector('[data-address-row="postcode"]');
+      if (row) row.hidden = !country.postcode;
+      if (input("postcode"))
+        input("postcode").placeholder = country.postcode?.example || "";
+      if (input("phone")) input("phone").placeholder = country.phone.example;
+    }
+
+    select.addEventListener("change", update);
+    update();
+    return { update };
+  }
+
+  window.AddressAPI = {
+    FIELDS,
+    loadCountries,
+    getCountries,
+    getCountry,
+    getDefaultCountry,
+    normalize,
+    validateAddress,
+    formatAddress,
+    bindAddressForm,
+  };
+})(window);
@@ -0,0 +1,488 @@
+(function (window) {
+  "use strict";
+
+  const USERS_KEY = "users"; // [{ id, username, email, salt, passwordHash, iterations, createdAt }]
+  const SESSIONS_KEY = "sessions"; // { [token]: { userId, expiresAt } }
+  const TOKEN_KEY = "sessionToken"; // sessionStorage, or localStorage with "remember me"
+  const LEGACY_USER_KEY = "user"; // old single plain-text account
+  const TOKENS_KEY = "authTokens"; // [{ token, userId, purpose, expiresAt }]
+  const ATTEMPTS_KEY = "loginAttempts"; // { [email]: { failures, lockedUntil } }
+
+  const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+  const REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const PBKDF2_ITERATIONS = 100000;
+
+  const VERIFY_TTL_MS = 24 * 60 * 60 * 1000; // email verification link
+  const RESET_TTL_MS = 30 * 60 * 1000; // password reset link
+  const MAX_FAILED_LOGINS = 5; // in a row, per email
+  const LOCKOUT_MS = 15 * 60 * 1000;
+
+  function readJSON(storage, key, fallback) {
+    try {
+      return JSON.parse(storage.getItem(key)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function writeJSON(storage, key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.error(`Auth save error (${key})`, e);
+    }
+  }
+
+  function getUsers() {
+    const users = readJSON(localStorage, USERS_KEY, []);
+    return Array.isArray(users) ? users : [];
+  }
+
+  function normalizeEmail(email) {
+    return String(email || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  function findUserByEmail(email) {
+    const wanted = normalizeEmail(email);
+    return getUsers().find((u) => u.email === wanted) || null;
+  }
+
+  // what pages get to see: never the salt or hash
+  function toPublicUser(user) {
+    return user
+      ? { id: user.id, username: user.username, email: user.email }
+      : null;
+  }
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) =>
+      b.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  function fromHex(hex) {
+    return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+  }
+
+  function randomHex(bytes) {
+    return toHex(window.crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  function cryptoAvailable() {
+    return !!window.crypto?.subtle && !!window.crypto.getRandomValues;
+  }
+
+  // PBKDF2-SHA-256 of the password with a per-user salt
+  async function hashPassword(password, saltHex, iterations) {
+    const subtle = window.crypto.subtle;
+    const key = await subtle.importKey(
+      "raw",
+      new TextEncoder().encode(password),
+      "PBKDF2",
+      false,
+      ["deriveBits"],
+    );
+    const bits = await subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations },
+      key,
+      256,
+    );
+    return toHex(bits);
+  }
+
+  // compares every character so timing does not reveal the matching prefix
+  function sameHash(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++)
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  async function createUserRecord({ username, email, password }) {
+    const salt = randomHex(16);
+    return {
+      id: `usr-${Date.now().toString(36)}-${randomHex(4)}`,
+      username: String(username).trim(),
+      email: normalizeEmail(email),
+      salt,
+      passwordHash: await hashPassword(password, salt, PBKDF2_ITERATIONS),
+      iterations: PBKDF2_ITERATIONS,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function saveUser(record) {
+    writeJSON(
+      localStorage,
+      USERS_KEY,
+      getUsers().map((u) => (u.id === record.id ? record : u)),
+    );
+  }
+
+  const PASSWORD_RULES = [
+    { test: (v) => v.length >= 8, label: "at least 8 characters" },
+    { test: (v) => /[a-z]/.test(v), label: "a lowercase letter" },
+    { test: (v) => /[A-Z]/.test(v), label: "an uppercase letter" },
+    { test: (v) => /\d/.test(v), label: "a number" },
+  ];
+
+  /* Password rules for sign-up and reset: { ok, missing, error } where
+     missing lists the unmet rules and error is a message for the form. */
+  function checkPasswordStrength(password, email = "") {
+    const value = String(password || "");
+    const missing = PASSWORD_RULES.filter((r) => !r.test(value)).map(
+      (r) => r.label,
+    );
+    const name = normalizeEmail(email).split("@")[0];
+    let error = missing.length ? `Password needs ${missing.join(", ")}.` : "";
+    if (name.length >= 3 && value.toLowerCase().includes(name))
+      error = `${error} Password must not contain your email name.`.trim();
+    return { ok: !error, missing, error };
+  }
+
+  /* ---- One-time tokens (email verification, password reset) ---- */
+
+  function getTokens() {
+    const now = Date.now();
+    const tokens = readJSON(localStorage, TOKENS_KEY, []);
+    return Array.isArray(tokens) ? tokens.filter((t) => t.expiresAt > now) : [];
+  }
+
+  // a new token replaces any earlier one for the same user and purpose
+  function issueToken(userId, purpose, ttl) {
+    const token = randomHex(24);
+    writeJSON(localStorage, TOKENS_KEY, [
+      ...getTokens().filter(
+        (t) => !(t.userId === userId && t.purpose === purpose),
+      ),
+      { token, userId, purpose, expiresAt: Date.now() + ttl },
+    ]);
+    return token;
+  }
+
+  // returns the user record and deletes the token, or null when it is
+  // unknown, expired or already used
+  function consumeToken(token, purpose) {
+    const tokens = getTokens();
+    const entry = tokens.find(
+      (t) => t.token === token && t.purpose === purpose,
+    );
+    if (!entry) return null;
+    writeJSON(
+      localStorage,
+      TOKENS_KEY,
+      tokens.filter((t) => t !== entry),
+    );
+    return getUsers().find((u) => u.id === entry.userId) || null;
+  }
+
+  function sendVerification(user) {
+    const token = issueToken(user.id, "verify", VERIFY_TTL_MS);
+    window.OutboxAPI?.send({
+      to: user.email,
+      subject: "Verify your NeoTechShop account",
+      body: `Hi ${user.username}, confirm your email address to finish signing up. The link is valid for 24 hours.`,
+      link: `auth.html?verify=${token}`,
+    });
+  }
+
+  /* ---- Failed-login rate limiting ---- */
+
+  function getAttempts() {
+    return readJSON(localStorage, ATTEMPTS_KEY, {});
+  }
+
+  // minutes left on a lockout for this email, or 0
+  function lockoutMinutes(email) {
+    const entry = getAttempts()[normalizeEmail(email)];
+    const left = (entry?.lockedUntil || 0) - Date.now();
+    return left > 0 ? Math.ceil(left / 60000) : 0;
+  }
+
+  function recordFailedLogin(email) {
+    const attempts = getAttempts();
+    const key = normalizeEmail(email);
+    const failures = (attempts[key]?.failures || 0) + 1;
+    attempts[key] =
+      failures >= MAX_FAILED_LOGINS
+        ? { failures: 0, lockedUntil: Date.now() + LOCKOUT_MS }
+        : { failures, lockedUntil: 0 };
+    writeJSON(localStorage, ATTEMPTS_KEY, attempts);
+  }
+
+  function clearFailedLogins(email) {
+    const attempts = getAttempts();
+    delete attempts[normalizeEmail(email)];
+    writeJSON(localStorage, ATTEMPTS_KEY, attempts);
+  }
+
+  /* The account auth.html used to keep in localStorage["user"] (plain-text
+     password) becomes a regular hashed account the first time it is needed. */
+  async function migrateLegacyUser() {
+    const legacy = readJSON(localStorage, LEGACY_USER_KEY, null);
+    if (!legacy?.email || !legacy.password) return;
+    if (!findUserByEmail(legacy.email)) {
+      // it could already log in, so there is nothing left to verify
+      const record = { ...(await createUserRecord(legacy)), verified: true };
+      writeJSON(localStorage, USERS_KEY, [...getUsers(), record]);
+    }
+    localStorage.removeItem(LEGACY_USER_KEY);
+  }
+
+  /* Returns { ok: true, user } or { ok: false, error } where error is a
+     message for the form. Emails are unique (case-insensitive). New accounts
+     must follow the verification link sent to the outbox before logging in. */
+  async function register({ username, email, password }) {
+    if (!cryptoAvailable())
+      return { ok: false, error: "Secure sign-up is not available here." };
+    const weak = checkPasswordStrength(password, email).error;
+    if (weak) return { ok: false, error: weak };
+    await migrateLegacyUser();
+    if (findUserByEmail(email))
+      return { ok: false, error: "An account with this email already exists." };
+
+    const record = {
+      ...(await createUserRecord({ username, email, password })),
+      verified: false,
+    };
+    writeJSON(localStorage, USERS_KEY, [...getUsers(), record]);
+    sendVerification(record);
+    return { ok: true, user: toPublicUser(record) };
+  }
+
+  // { ok, error? } for the ?verify=<token> link
+  function verifyEmail(token) {
+    const user = consumeToken(token, "verify");
+    if (!user)
+      return {
+        ok: false,
+        error: "This verification link is invalid or has expired.",
+      };
+    saveUser({ ...user, verified: true });
+    return { ok: true, user: toPublicUser(user) };
+  }
+
+  function resendVerification(email) {
+    const user = findUserByEmail(email);
+    if (user && user.verified === false) sendVerification(user);
+  }
+
+  /* Always reports success, so the form does not reveal which emails have
+     accounts; the reset link only goes out when one exists. */
+  function requestPasswordReset(email) {
+    const user = findUserByEmail(email);
+    if (user) {
+      const token = issueToken(user.id, "reset", RESET_TTL_MS);
+      window.OutboxAPI?.send({
+        to: user.email,
+        subject: "Reset your NeoTechShop password",
+        body: `Hi ${user.username}, use this link to choose a new password. It works once and expires in 30 minutes. If you did not ask for this, ignore this message.`,
+        link: `auth.html?reset=${token}`,
+      });
+    }
+    return { ok: true };
+  }
+
+  // { ok, error? }; signs the account out everywhere on success
+  async function resetPassword(token, password) {
+    if (!cryptoAvailable())
+      return { ok: false, error: "Secure login is not available here." };
+    const pending = getTokens().find(
+      (t) => t.token === token && t.purpose === "reset",
+    );
+    const owner = pending && getUsers().find((u) => u.id === pending.userId);
+    if (!owner)
+      return { ok: false, error: "This reset link is invalid or has expired." };
+    const weak = checkPasswordStrength(password, owner.email).error;
+    if (weak) return { ok: false, error: weak };
+
+    const user = consumeToken(token, "reset");
+    if (!user)
+      return { ok: false, error: "This reset link is invalid or has expired." };
+    // the reset link proved the address works
+    await setPassword({ ...user, verified: true }, password);
+    revokeSessions(user.id);
+    clearFailedLogins(user.email);
+    return { ok: true };
+  }
+
+  async function setPassword(user, password) {
+    const salt = randomHex(16);
+    saveUser({
+      ...user,
+      salt,
+      passwordHash: await hashPassword(password, salt, PBKDF2_ITERATIONS),
+      iterations: PBKDF2_ITERATIONS,
+    });
+  }
+
+  // ends the user's sessions on every device, except keepToken
+  function revokeSessions(userId, keepToken = null) {
+    writeJSON(
+      localStorage,
+      SESSIONS_KEY,
+      Object.fromEntries(
+        Object.entries(getSessions()).filter(
+          ([token, s]) => s.userId !== userId || token === keepToken,
+        ),
+      ),
+    );
+  }
+
+  function currentUserRecord() {
+    const session = getSessions()[currentToken()];
+    return (session && getUsers().find((u) => u.id === session.userId)) || null;
+  }
+
+  /* Account details the profile page can edit. The email stays fixed: it is
+     the login and the key orders are filed under. Returns { ok, user, error }. */
+  function updateProfile({ username }) {
+    const user = currentUserRecord();
+    if (!user) return { ok: false, error: "Please log in again." };
+    const name = String(username || "").trim();
+    if (name.length < 3)
+      return { ok: false, error: "Username must be at least 3 characters." };
+    const updated = { ...user, username: name };
+    saveUser(updated);
+    return { ok: true, user: toPublicUser(updated) };
+  }
+
+  // { ok, error? }; other devices are logged out, this one stays in
+  async function changePassword(currentPassword, newPassword) {
+    if (!cryptoAvailable())
+      return { ok: false, error: "Secure login is not available here." };
+    const user = currentUserRecord();
+    if (!user) return { ok: false, error: "Please log in again." };
+    if (!(await passwordMatches(user, String(currentPassword))))
+      return { ok: false, error: "Your current password is incorrect." };
+    const weak = checkPasswordStrength(newPassword, user.email).error;
+    if (weak) return { ok: false, error: weak };
+    await setPassword(currentUserRecord(), newPassword);
+    revokeSessions(user.id, currentToken());
+    return { ok: true };
+  }
+
+  function getSessions() {
+    const sessions = readJSON(localStorage, SESSIONS_KEY, {});
+    // drop expired sessions whenever the table is read
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(sessions).filter(([, s]) => s?.expiresAt > now),
+    );
+  }
+
+  function startSession(user, remember) {
+    const token = randomHex(32);
+    const ttl = remember ? REMEMBER_TTL_MS : SESSION_TTL_MS;
+    writeJSON(localStorage, SESSIONS_KEY, {
+      ...getSessions(),
+      [token]: { userId: user.id, expiresAt: Date.now() + ttl },
+    });
+    // "remember me" survives closing the browser; otherwise only this tab
+    (remember ? localStorage : sessionStorage).setItem(TOKEN_KEY, token);
+    return token;
+  }
+
+  // passwords are compared exactly as typed, never trimmed
+  async function passwordMatches(user, password) {
+    const hash = await hashPassword(password, user.salt, user.iterations);
+    return sameHash(hash, user.passwordHash);
+  }
+
+  /* Returns { ok: true, user } or { ok: false, error, code } where code is
+     "invalid", "locked" or "unverified". The same error is used for an
+     unknown email and a wrong password; repeated failures lock the email. */
+  async function login({ email, password, remember = false }) {
+    if (!cryptoAvailable())
+      return { ok: false, error: "Secure login is not available here." };
+    const locked = lockoutMinutes(email);
+    if (locked)
+      return {
+        ok: false,
+        code: "locked",
+        error: `Too many failed attempts. Try again in ${locked} minute${locked === 1 ? "" : "s"}.`,
+      };
+    await migrateLegacyUser();
+    const invalid = {
+      ok: false,
+      code: "invalid",
+      error: "Invalid email or password.",
+    };
+    const user = findUserByEmail(email);
+    if (!user) {
+      // hash anyway, so the response time does not tell which emails exist
+      await hashPassword(password, randomHex(16), PBKDF2_ITERATIONS);
+      recordFailedLogin(email);
+      return invalid;
+    }
+    if (!(await passwordMatches(user, password))) {
+      recordFailedLogin(email);
+      return invalid;
+    }
+    clearFailedLogins(email);
+    if (user.verified === false)
+      return {
+        ok: false,
+        code: "unverified",
+        error: "Please verify your email address first.",
+      };
+
+    logout(); // one session per browser
+    startSession(user, remember);
+    return { ok: true, user: toPublicUser(user) };
+  }
+
+  function currentToken() {
+    return sessionStorage.getItem(TOKEN_KEY) || localStorage.getItem(TOKEN_KEY);
+  }
+
+  /* The logged-in user ({ id, username, email }) or null. Every page asks
+     this instead of reading storage flags. */
+  function getCurrentUser() {
+    const token = currentToken();
+    if (!token) return null;
+    const session = getSessions()[token];
+    const user = session && getUsers().find((u) => u.id === session.userId);
+    if (!user) {
+      // expired or revoked: forget the token
+      sessionStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(TOKEN_KEY);
+      return null;
+    }
+    return toPublicUser(user);
+  }
+
+  function isLoggedIn() {
+    return getCurrentUser() !== null;
+  }
+
+  function logout() {
+    const token = currentToken();
+    if (token) {
+      const sessions = getSessions();
+      delete sessions[token];
+      writeJSON(localStorage, SESSIONS_KEY, sessions);
+    }
+    sessionStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(TOKEN_KEY);
+  }
+
+  window.AuthAPI = {
+    register,
+    login,
+    logout,
+    getCurrentUser,
+    isLoggedIn,
+    checkPasswordStrength,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
+    updateProfile,
+    changePassword,
+    findUserByEmail: (email) => toPublicUser(findUserByEmail(email)),
+  };
+})(window);
@@ -2,6 +2,29 @@
   "use strict";
 
   const STORAGE_KEY = "cart";
+  const UPDATED_KEY = "cartLastUpdated";
+  const EVENT_NAME = "cart:updated";
+  const LIMIT_EVENT = "cart:limit";
+  const SYNC_CHANNEL = "neotechshop-cart";
+  // assets/js/utils.js, loaded first on every page
+  const { escapeHtml } = window.UtilsAPI;
+
+  // functions registered through subscribe(); called with the event payload
+  const listeners = new Set();
+
+  /* Cross-tab sync state. Every write is recorded in
+     localStorage[UPDATED_KEY] as { at, tab, seen }: when and by which tab,
+     plus the ids ("<at>:<tab>") of the latest writes it was based on, its
+     own included. A tab whose write is missing from the stored `seen` was
+     overwritten by a tab that had not read it yet, and merges its edit
+     back in (see writeStorage). */
+  const TAB_ID = Math.random().toString(36).slice(2, 10);
+  const SEEN_LIMIT = 20;
+  let lastStamp = { at: 0, tab: "", seen: [] };
+  // this tab's latest write until another tab is known to have read it:
+  // { id, base, items } where base is the cart it replaced
+  let pending = null;
+  let channel = null;
 
   function readStorage() {
     try {
@@ -13,197 +36,537 @@
     }
   }
 
+  const idOf = (stamp) => `${stamp.at}:${stamp.tab}`;
+
+  /* Apply the edit that turned `base` into `ours` to `theirs`: for each
+     product, theirs' quantity plus the units ours added or removed. */
+  function mergeEdit(base, ours, theirs) {
+    const quantityIn = (items, id) =>
+      items.find((it) => sameId(it.id, id))?.quantity || 0;
+    const merged = theirs.map((it) => ({ ...it }));
+    new Set([...base, ...ours].map((it) => String(it.id))).forEach((id) => {
+      const delta = quantityIn(ours, id) - quantityIn(base, id);
+      if (!delta) return;
+      const line = merged.find((it) => sameId(it.id, id));
+      if (line) line.quantity += delta;
+      else if (delta > 0)
+        merged.push({
+          ...ours.find((it) => sameId(it.id, id)),
+          quantity: delta,
+        });
+    });
+    return merged.filter((it) => it.quantity > 0);
+  }
+
+  // returns the items written, which include a merged edit (see above)
   function writeStorage(cart) {
+    const stored = readStamp();
+    const base = getCart();
+    const items =
+      pending && stored.at && !stored.seen.includes(pending.id)
+        ? normalizeCart(mergeEdit(pending.base, pending.items, cart))
+        : cart;
+    // never go backwards, even if this tab's clock is behind the last writer's
+    const at = Math.max(Date.now(), lastStamp.at + 1, stored.at + 1);
+    const stamp = { at, tab: TAB_ID };
+    stamp.seen = [...stored.seen, idOf(stamp)].slice(-SEEN_LIMIT);
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(cart));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+      localStorage.setItem(UPDATED_KEY, JSON.stringify(stamp));
     } catch (e) {
       console.error("Cart save error", e);
     }
+    lastStamp = stamp;
+    pending = { id: idOf(stamp), base, items };
+    channel?.postMessage({ type: "cart:sync", tab: TAB_ID });
+    return items;
+  }
+
+  // older values were "<ms>:<tabId>" or a bare Date.now()
+  function readStamp() {
+    let raw = "";
+    try {
+      raw = localStorage.getItem(UPDATED_KEY) || "";
+      const stamp = JSON.parse(raw);
+      if (stamp && typeof stamp === "object")
+        return {
+          at: ensureInt(stamp.at, 0),
+          tab: String(stamp.tab || ""),
+          seen: Array.isArray(stamp.seen) ? stamp.seen.map(String) : [],
+        };
+    } catch {
+      /* older formats below */
+    }
+    const [at, tab = ""] = raw.split(":");
+    const stamp = { at: ensureInt(at, 0), tab };
+    return { ...stamp, seen: stamp.at ? [idOf(stamp)] : [] };
+  }
+
+  function ensureInt(n, fallback = 0) {
+    const x = parseInt(n, 10);
+    return Number.isFinite(x) ? x : fallback;
+  }
+
+  // ids are numbers in products.json, but older carts / data-* attributes may hold strings
+  function normalizeId(id) {
+    const n = Number(id);
+    return Number.isInteger(n) && String(id).trim() !== "" ? n : String(id);
+  }
+
+  function sameId(a, b) {
+    return String(a) === String(b);
+  }
+
+  function normalizeItem(item = {}) {
+    return {
+      id: normalizeId(item.id),
+      name: item.name || item.shortName || "Product",
+      shortName: item.shortName || item.name || "",
+      price: Math.max(0, ensureInt(item.price, 0)),
+      image: item.image || item.images?.[0] || "",
+      quantity: Math.max(1, ensureInt(item.quantity, 1)),
+    };
+  }
+
+  /* Every read and write goes through here, so all pages see the same shape:
+     valid ids only, integer prices/quantities, one line per product id. */
+  function normalizeCart(cart) {
+    if (!Array.isArray(cart)) return [];
+    const lines = [];
+    cart.forEach((raw) => {
+      if (!raw || raw.id === undefined || raw.id === null || raw.id === "")
+        return;
+      const item = normalizeItem(raw);
+      const existing = lines.find((it) => sameId(it.id, item.id));
+      if (existing) existing.quantity += item.quantity;
+      else lines.push(item);
+    });
+    return lines;
+  }
+
+  function countOf(items) {
+    // sum of quantities (more intuitive than length)
+    return items.reduce((s, it) => s + it.quantity, 0);
+  }
+
+  function totalOf(items) {
+    return items.reduce((s, it) => s + it.price * it.quantity, 0);
+  }
+
+  /* Totals for these lines (see PricingAPI in assets/js/pricing.js).
+     Without the pricing module the total is just the sum of the lines. */
+  function breakdownOf(items) {
+    if (window.PricingAPI) return window.PricingAPI.getBreakdown(items);
+    const subtotal = totalOf(items);
+    return {
+      subtotal,
+      coupon: null,
+      discount: 0,
+      shipping: 0,
+      shippingMethod: null,
+      tax: 0,
+      taxRate: 0,
+      region: null,
+      total: subtotal,
+    };
+  }
+
+  /* Payload of the "cart:updated" event and of subscribe() callbacks:
+     { items: CartItem[], count, ...breakdown } where breakdown is
+     { subtotal, coupon, discount, shipping, shippingMethod, tax, taxRate,
+       region, total } and total is the amount to pay. */
+  function getCartState(items = getCart()) {
+    return { items, count: countOf(items), ...breakdownOf(items) };
+  }
+
+  function notify(items) {
+    const detail = getCartState(items);
+    listeners.forEach((fn) => {
+      try {
+        fn(detail);
+      } catch (e) {
+        console.error("Cart listener error", e);
+      }
+    });
+    document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail }));
   }
 
   function getCart() {
-    return readStorage();
+    return normalizeCart(readStorage());
   }
 
   function saveCart(cart) {
-    writeStorage(cart);
-    // keep UI in sync
-    updateCartUI();
+    notify(writeStorage(normalizeCart(cart)));
   }
 
   function clearCart() {
-    writeStorage([]);
-    updateCartUI();
+    saveCart([]);
   }
 
-  function ensureInt(n, fallback = 0) {
-    const x = parseInt(n, 10);
-    return Number.isFinite(x) ? x : fallback;
+  // re-render every view without writing (e.g. after a coupon change)
+  function refresh() {
+    notify(getCart());
+  }
+
+  // stock comes from products.json via CatalogAPI (assets/js/catalog.js)
+  function stockOf(id) {
+    return window.CatalogAPI ? window.CatalogAPI.getStock(id) : Infinity;
+  }
+
+  /* Clamp a requested line quantity to the units in stock. When it had to be
+     lowered, "cart:limit" is dispatched with
+     { id, name, requested, stock, quantity } so pages can explain why. */
+  function clampToStock(item, requested) {
+    const stock = stockOf(item.id);
+    const quantity = Math.max(0, Math.min(requested, stock));
+    const limited = quantity < requested;
+    if (limited) {
+      document.dispatchEvent(
+        new CustomEvent(LIMIT_EVENT, {
+          detail: { id: item.id, name: item.name, requested, stock, quantity },
+        }),
+      );
+    }
+    return { quantity, stock, limited };
   }
 
+  // returns { quantity, stock, limited } for the product's line, or null
   function addToCart(product = {}) {
-    if (!product || typeof product.id === "undefined") return;
+    if (!product || product.id === undefined || product.id === null)
+      return null;
     const cart = getCart();
-    const id = ensureInt(product.id, product.id); // allow numeric or string ids
-    const existing = cart.find((it) => String(it.id) === String(id));
-    const qty = Math.max(1, ensureInt(product.quantity || 1, 1));
-
-    if (existing) {
-      existing.quantity = ensureInt(existing.quantity, 0) + qty;
-    } else {
-      // minimal normalization
-      cart.push({
-        id: product.id,
-        name: product.name || product.shortName || "Product",
-        shortName: product.shortName || product.name || "",
-        price: ensureInt(product.price || 0, 0),
-        image: product.image || product.images?.[0] || "",
-        quantity: qty,
-      });
+    let line = cart.find((it) => sameId(it.id, product.id));
+    if (!line) {
+      line = { ...normalizeItem(product), quantity: 0 };
+      cart.push(line);
     }
-    saveCart(cart);
+    const before = line.quantity;
+    const qty = Math.max(1, ensureInt(product.quantity, 1));
+    const result = clampToStock(line, before + qty);
+
+    line.quantity = result.quantity;
+    if (line.quantity !== before)
+      saveCart(cart.filter((it) => it.quantity > 0));
+    return result;
   }
 
   function removeFromCart(id) {
-    const cart = getCart().filter((it) => String(it.id) !== String(id));
-    saveCart(cart);
+    saveCart(getCart().filter((it) => !sameId(it.id, id)));
   }
 
   function changeQuantity(id, delta) {
-    const cart = getCart().map((it) => ({ ...it })); // shallow clone
-    const idx = cart.findIndex((it) => String(it.id) === String(id));
-    if (idx === -1) return;
-    cart[idx].quantity = ensureInt(cart[idx].quantity, 0) + ensureInt(delta, 0);
-    if (cart[idx].quantity <= 0) cart.splice(idx, 1);
-    saveCart(cart);
+    const cart = getCart();
+    const line = cart.find((it) => sameId(it.id, id));
+    if (!line) return null;
+    const before = line.quantity;
+    const result = clampToStock(line, before + ensureInt(delta, 0));
+
+    line.quantity = result.quantity;
+    if (line.quantity !== before)
+      saveCart(cart.filter((it) => it.quantity > 0));
+    return result;
   }
 
+  /* Re-check every line against current stock (checkout does this on load).
+     Lines over stock are clamped, sold-out lines dropped; returns the
+     adjustments made as [{ id, name, requested, stock, quantity }]. */
+  function validateCart() {
+    const adjustments = [];
+    const items = getCart().filter((item) => {
+      const stock = stockOf(item.id);
+      if (item.quantity <= stock) return true;
+      adjustments.push({
+        id: item.id,
+        name: item.name,
+        requested: item.quantity,
+        stock,
+        quantity: stock,
+      });
+      item.quantity = stock;
+      return stock > 0;
+    });
+    if (adjustments.length) saveCart(items);
+    return adjustments;
+  }
+
+  /* Price every line from the catalog instead of trusting the price stored
+     in the cart (copied from data-price attributes, so it can be stale or
+     edited). Requires CatalogAPI.loadProducts() to have resolved.
+     Returns { verified, items, changes, missing, ...breakdown } (breakdown as
+     in getCartState) where changes are [{ id, name, oldPrice, newPrice }] and
+     missing are lines whose product no longer exists. verified is false when
+     there was no catalog to check. */
+  function quoteCart(cart = getCart()) {
+    const catalog = window.CatalogAPI;
+    const verified = !!catalog && catalog.getProducts().length > 0;
+    const quote = {
+      verified,
+      items: [],
+      changes: [],
+      missing: [],
+      ...breakdownOf([]),
+    };
+    if (!verified) return quote;
+
+    cart.forEach((item) => {
+      const product = catalog.findProduct(item.id);
+      if (!product) {
+        quote.missing.push({ id: item.id, name: item.name });
+        return;
+      }
+      const price = catalog.getUnitPrice(product);
+      if (price !== item.price) {
+        quote.changes.push({
+          id: item.id,
+          name: item.name,
+          oldPrice: item.price,
+          newPrice: price,
+        });
+      }
+      quote.items.push({ ...item, price });
+    });
+    return { ...quote, ...breakdownOf(quote.items) };
+  }
+
+  // quoteCart() and write the catalog prices back when anything differed
+  function revalidatePrices() {
+    const quote = quoteCart();
+    if (quote.changes.length || quote.missing.length) saveCart(quote.items);
+    return quote;
+  }
+
+  // amount to pay: discount, shipping and tax included
   function getCartTotal() {
-    return getCart().reduce(
-      (s, it) => s + ensureInt(it.price, 0) * ensureInt(it.quantity, 0),
-      0,
-    );
+    return getCartState().total;
   }
 
   function getCartCount() {
-    // sum of quantities (more intuitive than length)
-    return getCart().reduce((s, it) => s + ensureInt(it.quantity, 0), 0);
+    return countOf(getCart());
+  }
+
+  /* Called when another tab wrote the cart. Its cart is adopted and
+     re-rendered here, unless it was written without this tab's latest
+     write: then that edit is merged into it and saved again, so every tab
+     settles on a cart holding both edits. */
+  function syncFromStorage() {
+    const stored = readStamp();
+    if (stored.at && pending && !stored.seen.includes(pending.id)) {
+      saveCart(getCart()); // writeStorage merges the lost edit
+      return;
+    }
+    // a cleared storage (no stamp) is adopted too: nothing to merge into
+    lastStamp = stored;
+    pending = null;
+    notify(getCart());
+  }
+
+  function initSync() {
+    lastStamp = readStamp();
+
+    if (typeof BroadcastChannel === "function") {
+      try {
+        channel = new BroadcastChannel(SYNC_CHANNEL);
+        channel.onmessage = (e) => {
+          if (e.data?.type === "cart:sync" && e.data.tab !== TAB_ID)
+            syncFromStorage();
+        };
+      } catch (e) {
+        channel = null;
+      }
+    }
+
+    window.addEventListener("storage", (e) => {
+      // e.key is null when the whole storage was cleared
+      if (e.key === null) syncFromStorage();
+      // one notice per write: the channel's message, or else the event for
+      // the stamp (written after the cart)
+      else if (e.key === UPDATED_KEY && !channel) syncFromStorage();
+      // a coupon or delivery option changed in another tab: totals only
+      else if (
+        e.key === window.CouponAPI?.APPLIED_KEY ||
+        e.key === window.PricingAPI?.OPTIONS_KEY
+      )
+        refresh();
+    });
+
+    // pages restored from the back/forward cache missed the events above
+    window.addEventListener("pageshow", (e) => {
+      if (e.persisted) syncFromStorage();
+    });
+  }
+
+  function subscribe(fn) {
+    if (typeof fn !== "function") return () => {};
+    listeners.add(fn);
+    return () => unsubscribe(fn);
+  }
+
+  function unsubscribe(fn) {
+    listeners.delete(fn);
   }
 
   function formatCurrency(n) {
     if (typeof n !== "number") n = Number(n) || 0;
-    return n.toLocaleString() + "$";
+    return `${n.toLocaleString()} $`;
   }
 
-  // Default selectors; pages can still have their own IDs/classes
+  // Default selectors; pages can pass their own IDs
   const DEFAULTS = {
     itemsContainerId: "cartItems",
     totalId: "cartTotal",
+    breakdownId: "cartBreakdown", // subtotal / discount / shipping / tax rows
     countId: "cartCount",
-    summaryContainerId: "cartSummary", // optional
+    readonly: false, // checkout summary: no quantity / remove controls
   };
 
-  function updateCartUI(opts = {}) {
-    const cfg = { ...DEFAULTS, ...opts };
-    const container = document.getElementById(cfg.itemsContainerId);
-    const totalEl = document.getElementById(cfg.totalId);
+  function renderBadge(count, cfg) {
     const countEl = document.getElementById(cfg.countId);
-    const cart = getCart();
-
-    // update count (nav badge etc.)
-    if (countEl) countEl.textContent = String(getCartCount());
-
-    if (!container) return;
-
-    // reset
-    container.innerHTML = "";
+    if (countEl) countEl.textContent = String(count);
+    const cartBtn = document.getElementById("cartBtn");
+    if (cartBtn)
+      cartBtn.setAttribute("aria-label", `Shopping cart, ${count} items`);
+  }
 
-    if (cart.length === 0) {
-      container.innerHTML = "<p>Your shopping cart is empty.</p>";
-      if (totalEl) totalEl.textContent = formatCurrency(0);
+  function renderBreakdown(state, cfg) {
+    const el = document.getElementById(cfg.breakdownId);
+    if (!el) return;
+    if (!window.PricingAPI || state.items.length === 0) {
+      el.innerHTML = "";
       return;
     }
+    el.innerHTML = window.PricingAPI.getBreakdownRows(state)
+      .map((row) => {
+        const amount =
+          row.amount < 0
+            ? `−${formatCurrency(-row.amount)}`
+            : row.key === "shipping" && row.amount === 0
+              ? "Free"
+              : formatCurrency(row.amount);
+        return `<p class="cart-breakdown__row cart-breakdown__row--${row.key}"><span>${escapeHtml(row.label)}</span><span>${amount}</span></p>`;
+      })
+      .join("");
+  }
 
-    let total = 0;
-
-    cart.forEach((item) => {
-      total += ensureInt(item.price, 0) * ensureInt(item.quantity, 0);
+  function renderStockNote(item) {
+    const stock = stockOf(item.id);
+    if (item.quantity < stock) return "";
+    const text = stock === 0 ? "Out of stock" : `Only ${stock} in stock`;
+    return `<small class="cart-item-stock">${text}</small>`;
+  }
 
-      const row = document.createElement("div");
-      row.className = "cart-item";
-      row.innerHTML = `
-        <img src="${item.image || ""}" alt="${escapeHtml(item.name || "")}">
+  function renderItem(item, readonly, saveForLater) {
+    const lineTotal = formatCurrency(item.price * item.quantity);
+    if (readonly) {
+      return `
+      <div class="checkout-item">
+        <img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.name)}" class="checkout-item-img" />
+        <div class="checkout-item-info">
+          <h4>${escapeHtml(item.name)}</h4>
+          <div class="checkout-item-details">
+            <p>Unit Price: ${formatCurrency(item.price)}</p>
+            <p>Quantity: ${item.quantity}</p>
+            <p>Subtotal: ${lineTotal}</p>
+          </div>
+        </div>
+      </div>`;
+    }
+    return `
+      <div class="cart-item" data-id="${escapeHtml(item.id)}">
+        <img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.name)}">
         <div class="cart-item-details">
-          <p>${escapeHtml(item.name || item.shortName || "")}</p>
+          <p>${escapeHtml(item.name)}</p>
           <div class="cart-qty-controls">
-            <button class="qty-btn decrease" data-id="${escapeAttr(item.id)}">−</button>
-            <span class="qty-value">${ensureInt(item.quantity, 0)}</span>
-            <button class="qty-btn increase" data-id="${escapeAttr(item.id)}">+</button>
+            <button class="qty-btn decrease" data-id="${escapeHtml(item.id)}" aria-label="Decrease quantity">−</button>
+            <span class="qty-value">${item.quantity}</span>
+            <button class="qty-btn increase" data-id="${escapeHtml(item.id)}" aria-label="Increase quantity"${item.quantity >= stockOf(item.id) ? " disabled" : ""}>+</button>
           </div>
-          <small class="item-line-price">${formatCurrency(ensureInt(item.price, 0) * ensureInt(item.quantity, 0))}</small>
+          ${renderStockNote(item)}
+          <small class="item-line-price">${lineTotal}</small>
+          ${saveForLater ? `<button class="save-later-btn" data-id="${escapeHtml(item.id)}">Save for later</button>` : ""}
         </div>
-        <button class="remove-btn" data-id="${escapeAttr(item.id)}" aria-label="Remove">🗑️</button>
-      `;
-      container.appendChild(row);
-    });
+        <button class="remove-btn" data-id="${escapeHtml(item.id)}" aria-label="Remove">🗑️</button>
+      </div>`;
+  }
+
+  /* The one cart renderer: nav badge, item list, totals breakdown and total.
+     Used by the cart modal, cart-page.html and (readonly) checkout.html.
+     An items container marked data-save-for-later (cart-page.html) also gets
+     a "Save for later" button per line, moving it to the wishlist. */
+  function updateCartUI(opts = {}, state = getCartState()) {
+    const cfg = { ...DEFAULTS, ...opts };
+    const container = document.getElementById(cfg.itemsContainerId);
+    const totalEl = document.getElementById(cfg.totalId);
+
+    renderBadge(state.count, cfg);
+    if (totalEl) totalEl.textContent = formatCurrency(state.total);
+    renderBreakdown(state, cfg);
+    if (!container) return;
 
-    if (totalEl) totalEl.textContent = formatCurrency(total);
+    if (state.items.length === 0) {
+      container.innerHTML = "<p>Your shopping cart is empty.</p>";
+      return;
+    }
+    const saveForLater =
+      !!window.WishlistAPI && container.hasAttribute("data-save-for-later");
+    container.innerHTML = state.items
+      .map((item) => renderItem(item, cfg.readonly, saveForLater))
+      .join("");
+    if (cfg.readonly) return;
 
-    // attach single click handler (delegation)
-    // use onclick overwrite to avoid duplicate handlers if called many times
+    // single delegated handler; onclick overwrite avoids duplicates on re-render
     container.onclick = function (e) {
-      const t = e.target;
-      // find button with data-id
-      if (t.matches(".increase")) {
-        changeQuantity(t.dataset.id, 1);
-        return;
-      }
-      if (t.matches(".decrease")) {
-        changeQuantity(t.dataset.id, -1);
-        return;
-      }
-      if (t.matches(".remove-btn")) {
-        removeFromCart(t.dataset.id);
-        return;
-      }
+      const btn = e.target.closest("[data-id]");
+      if (!btn || !container.contains(btn)) return;
+      if (btn.matches(".increase")) changeQuantity(btn.dataset.id, 1);
+      else if (btn.matches(".decrease")) changeQuantity(btn.dataset.id, -1);
+      else if (btn.matches(".remove-btn")) removeFromCart(btn.dataset.id);
+      else if (btn.matches(".save-later-btn"))
+        window.WishlistAPI.saveForLater(btn.dataset.id);
     };
   }
 
-  // small helpers to avoid XSS when injecting names (since content is local project)
-  function escapeHtml(s) {
-    if (s === null || s === undefined) return "";
-    return String(s)
-      .replaceAll("&", "&")
-      .replaceAll("<", "<")
-      .replaceAll(">", ">")
-      .replaceAll('"', '"')
-      .replaceAll("'", "&#39;");
-  }
-  function escapeAttr(s) {
-    if (s === null || s === undefined) return "";
-    return String(s).replaceAll('"', '"');
+  /* Render with the given options now and again on every cart change.
+     Returns the unsubscribe function. */
+  function mountCartView(opts = {}) {
+    updateCartUI(opts);
+    return subscribe((state) => updateCartUI(opts, state));
   }
 
   // expose API
   const CartAPI = {
+    EVENT_NAME,
+    LIMIT_EVENT,
     getCart,
+    getCartState,
     saveCart,
     addToCart,
     removeFromCart,
     changeQuantity,
+    validateCart,
+    quoteCart,
+    revalidatePrices,
     clearCart,
+    refresh,
     getCartTotal,
     getCartCount,
+    subscribe,
+    unsubscribe,
     updateCartUI,
+    mountCartView,
     formatCurrency,
   };
 
-  // attach to window for legacy scripts
-  if (!window.CartAPI) window.CartAPI = CartAPI;
+  // attach to window for page scripts
+  if (!window.CartAPI) {
+    window.CartAPI = CartAPI;
+    initSync();
+  }
 
-  // auto-update nav badge and any cart container on DOM ready
+  // default view: nav badge + modal list (#cartItems / #cartTotal) on any page
   document.addEventListener("DOMContentLoaded", () => {
-    CartAPI.updateCartUI();
+    CartAPI.mountCartView();
+    // stock notes, coupons and shipping/tax need the catalog and pricing data
+    window.CatalogAPI?.loadProducts().then(() => notify(getCart()));
   });
 
   // make available for module imports if environment supports (optional)
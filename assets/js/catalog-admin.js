@@ -0,0 +1,245 @@
+(function (window, document) {
+  "use strict";
+
+  /* Working copy of the catalog for admin-catalog.html.
+     localStorage "catalogDraft": { savedAt (ISO), products: Product[] }
+     Edits go to the draft, never to products.json; exportJson() produces
+     the file to commit. Without a draft the published catalog is used.
+     Changes fire "catalogDraft:updated" on document. */
+  const STORAGE_KEY = "catalogDraft";
+  const EVENT_NAME = "catalogDraft:updated";
+
+  let products = [];
+  let savedAt = null;
+
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  const sameId = (a, b) => String(a) === String(b);
+
+  function readDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (draft && Array.isArray(draft.products)) return draft;
+    } catch {
+      /* fall through */
+    }
+    return null;
+  }
+
+  function notify() {
+    document.dispatchEvent(new CustomEvent(EVENT_NAME));
+  }
+
+  function persist() {
+    savedAt = new Date().toISOString();
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ savedAt, products }));
+    } catch (e) {
+      console.error("Catalog draft save error", e);
+    }
+    notify();
+  }
+
+  // the draft when there is one, otherwise a copy of products.json
+  async function load() {
+    await window.CatalogSchemaAPI.loadSchema();
+    const draft = readDraft();
+    if (draft) {
+      products = draft.products;
+      savedAt = draft.savedAt || null;
+    } else {
+      products = clone(await window.CatalogAPI.loadProducts());
+      savedAt = null;
+    }
+    return products;
+  }
+
+  function hasDraft() {
+    return savedAt !== null;
+  }
+
+  function getSavedAt() {
+    return savedAt;
+  }
+
+  async function discardDraft() {
+    localStorage.removeItem(STORAGE_KEY);
+    await load();
+    notify();
+  }
+
+  function getProducts() {
+    return products;
+  }
+
+  function getProduct(id) {
+    return products.find((p) => sameId(p.id, id)) || null;
+  }
+
+  function nextId() {
+    return products.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) + 1;
+  }
+
+  /* Issues that stop a product from being saved: the schema, a taken id
+     and relatedProducts ids that do not exist. Missing image files are
+     only known asynchronously and are reported with the catalog. */
+  function checkProduct(product, originalId = null) {
+    const issues = window.CatalogSchemaAPI.validateProduct(product);
+    const add = (path, message) =>
+      issues.push({ productId: product.id, level: "error", path, message });
+    if (
+      products.some(
+        (p) => sameId(p.id, product.id) && !sameId(p.id, originalId),
+      )
+    )
+      add("id", `id ${product.id} is already used by another product`);
+    (product.relatedProducts || []).forEach((id, i) => {
+      if (sameId(id, product.id))
+        add(`relatedProducts[${i}]`, "A product cannot be related to itself");
+      else if (!getProduct(id))
+        add(`relatedProducts[${i}]`, `Product ${id} does not exist`);
+    });
+    return issues;
+  }
+
+  /* Adds a product, or replaces the one with originalId (its id may have
+     changed, in which case other products' relatedProducts follow).
+     Returns { ok: true, product } or { ok: false, issues }. */
+  function saveProduct(product, originalId = null) {
+    const cleaned = cleanProduct(product);
+    const issues = checkProduct(cleaned, originalId);
+    if (issues.length) return { ok: false, issues };
+
+    const index =
+      originalId === null
+        ? -1
+        : products.findIndex((p) => sameId(p.id, originalId));
+    if (index === -1) products.push(cleaned);
+    else {
+      products[index] = cleaned;
+      if (!sameId(originalId, cleaned.id))
+        products.forEach((p) => {
+          p.relatedProducts = (p.relatedProducts || []).map((id) =>
+            sameId(id, originalId) ? cleaned.id : id,
+          );
+        });
+    }
+    persist();
+    return { ok: true, product: cleaned };
+  }
+
+  /* Removes a product and every relatedProducts reference to it.
+     Returns the ids of the products that referenced it. */
+  function deleteProduct(id) {
+    const referencing = [];
+    products = products.filter((p) => !sameId(p.id, id));
+    products.forEach((p) => {
+      const related = (p.relatedProducts || []).filter((r) => !sameId(r, id));
+      if (related.length !== (p.relatedProducts || []).length) {
+        referencing.push(p.id);
+        p.relatedProducts = related;
+      }
+    });
+    persist();
+    return referencing;
+  }
+
+  /* Keys in the order of the schema's properties (unknown keys last, so
+     validation still reports them), strings trimmed, and optional fields
+     that were left empty dropped. */
+  function cleanProduct(product) {
+    const schema = window.CatalogSchemaAPI.getSchema() || {};
+    const order = Object.keys(schema.properties || {});
+    const required = schema.required || [];
+    const keys = [
+      ...order.filter((k) => k in product),
+      ...Object.keys(product).filter((k) => !order.includes(k)),
+    ];
+    const trim = (value) =>
+      typeof value === "string"
+        ? value.trim()
+        : Array.isArray(value)
+          ? value.map(trim)
+          : value;
+
+    const cleaned = {};
+    keys.forEach((key) => {
+      const value = trim(product[key]);
+      const empty =
+        value === undefined ||
+        value === null ||
+        value === "" ||
+        (Array.isArray(value) && !value.length);
+      if (empty && !required.includes(key)) return;
+      cleaned[key] = value;
+    });
+    return cleaned;
+  }
+
+  /* JSON laid out the way prettier formats products.json: two-space
+     indent, arrays of plain values on one line when the whole line fits
+     in 80 columns, so an export diffs cleanly against the committed file.
+     `prefix` is what precedes the value on its line ('"key": '). */
+  function formatJson(value, indent = "", prefix = "") {
+    const inner = indent + "  ";
+    if (Array.isArray(value)) {
+      if (!value.length) return "[]";
+      if (value.every((v) => v === null || typeof v !== "object")) {
+        const line = `[${value.map((v) => JSON.stringify(v)).join(", ")}]`;
+        // + 1 for the comma that may follow
+        if (indent.length + prefix.length + line.length + 1 <= 80) return line;
+      }
+      return `[\n${value
+        .map((v) => inner + formatJson(v, inner))
+        .join(",\n")}\n${indent}]`;
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.entries(value);
+      if (!entries.length) return "{}";
+      return `{\n${entries
+        .map(([k, v]) => {
+          const key = `${JSON.stringify(k)}: `;
+          return inner + key + formatJson(v, inner, key);
+        })
+        .join(",\n")}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // products.json as it should be committed
+  function exportJson() {
+    const list = products
+      .map(cleanProduct)
+      .sort((a, b) => (Number(a.id) || 0) - (Number(b.id) || 0));
+    // products are separated by a blank line, as in the committed file
+    return `[\n${list.map((p) => `  ${formatJson(p, "  ")}`).join(",\n\n")}\n]\n`;
+  }
+
+  function downloadJson() {
+    const blob = new Blob([exportJson()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "products.json";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  window.CatalogAdminAPI = {
+    EVENT_NAME,
+    load,
+    hasDraft,
+    getSavedAt,
+    discardDraft,
+    getProducts,
+    getProduct,
+    nextId,
+    checkProduct,
+    saveProduct,
+    deleteProduct,
+    cleanProduct,
+    exportJson,
+    downloadJson,
+  };
+})(window, document);
@@ -0,0 +1,289 @@
+(function (root, factory) {
+  // a browser script (window.CatalogSchemaAPI) or a CommonJS module, so
+  // scripts/validate-catalog.js runs the same checks in Node
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.CatalogSchemaAPI = factory();
+})(typeof window !== "undefined" ? window : globalThis, function () {
+  "use strict";
+
+  /* Checks products against assets/data/product-schema.json, plus the
+     rules a schema cannot express: unique ids and names, relatedProducts
+     pointing at real products, review dates in the past and image files
+     that exist.
+
+     Only the part of JSON Schema the product schema uses is implemented:
+     type, required, properties, additionalProperties: false, items,
+     enum, const, minimum / maximum, minLength, minItems, uniqueItems,
+     pattern, format: "date", and allOf with if / then.
+
+     Issues are { productId, level, path, message }; path is like
+     "reviews[1].date" ("" for the product itself). level is "error" for
+     data that breaks pages and "warning" for data that is only suspicious
+     (a repeated name, a product listed as related to itself). */
+  const SCHEMA_URL = "assets/data/product-schema.json";
+
+  let schema = null;
+  let pending = null;
+
+  // browser only; Node passes the parsed file to setSchema
+  function loadSchema() {
+    if (!pending) {
+      pending = fetch(SCHEMA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          schema = data;
+        })
+        .catch((err) => {
+          console.error("Error loading product-schema.json:", err);
+          schema = { type: "object" };
+        })
+        .then(() => schema);
+    }
+    return pending;
+  }
+
+  function getSchema() {
+    return schema;
+  }
+
+  function setSchema(data) {
+    schema = data;
+    pending = Promise.resolve(data);
+  }
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (typeof value === "number")
+      return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+  }
+
+  // "2025-09-31" parses in some engines, so the parts are compared back
+  function isDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return false;
+    const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    return date.toISOString().slice(0, 10) === text;
+  }
+
+  const joinPath = (path, key) =>
+    typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+  const describe = (value) => JSON.stringify(value);
+
+  /* [{ path, message }] for `value` against `rules`; see the header for
+     the supported keywords. */
+  function validate(value, rules, path = "") {
+    const errors = [];
+    const fail = (message, at = path) =>
+      errors.push({ path: at, message: `${at || "product"} ${message}` });
+    if (!rules) return errors;
+
+    if (rules.type) {
+      const types = [].concat(rules.type);
+      if (!types.some((t) => matchesType(value, t))) {
+        fail(
+          `must be ${types.map((t) => `a${/^[aeiou]/.test(t) ? "n" : ""} ${t}`).join(" or ")}`,
+        );
+        return errors; // the other keywords assume the right type
+      }
+    }
+    if ("const" in rules && value !== rules.const)
+      fail(`must be ${describe(rules.const)}`);
+    if (rules.enum && !rules.enum.includes(value))
+      fail(`must be one of ${rules.enum.map(describe).join(", ")}`);
+
+    if (typeof value === "number") {
+      if (rules.minimum !== undefined && value < rules.minimum)
+        fail(`must be at least ${rules.minimum}`);
+      if (rules.maximum !== undefined && value > rules.maximum)
+        fail(`must be at most ${rules.maximum}`);
+    }
+
+    if (typeof value === "string") {
+      if (
+        rules.minLength !== undefined &&
+        value.trim().length < rules.minLength
+      )
+        fail("must not be empty");
+      if (rules.pattern && !new RegExp(rules.pattern).test(value))
+        fail(`"${value}" does not match ${rules.pattern}`);
+      if (rules.format === "date" && !isDate(value))
+        fail(`must be a date (YYYY-MM-DD), got "${value}"`);
+    }
+
+    if (Array.isArray(value)) {
+      if (rules.minItems !== undefined && value.length < rules.minItems)
+        fail(
+          rules.minItems === 1
+            ? "must not be empty"
+            : `needs at least ${rules.minItems} items`,
+        );
+      if (rules.uniqueItems) {
+        const seen = new Set();
+        value.forEach((item) => {
+          const key = describe(item);
+          if (seen.has(key)) fail(`lists ${key} more than once`);
+          seen.add(key);
+        });
+      }
+      if (rules.items)
+        value.forEach((item, i) =>
+          errors.push(...validate(item, rules.items, joinPath(path, i))),
+        );
+    }
+
+    if (typeOf(value) === "object") {
+      (rules.required || []).forEach((key) => {
+        if (value[key] === undefined) fail("is required", joinPath(path, key));
+      });
+      Object.keys(value).forEach((key) => {
+        if (rules.properties?.[key])
+          errors.push(
+            ...validate(value[key], rules.properties[key], joinPath(path, key)),
+          );
+        else if (rules.additionalProperties === false)
+          fail("is not a known field", joinPath(path, key));
+      });
+    }
+
+    (rules.allOf || []).forEach((sub) => {
+      if (sub.if && validate(value, sub.if, path).length) return;
+      errors.push(...validate(value, sub.then || sub, path));
+    });
+
+    return errors;
+  }
+
+  function validateProduct(product, rules = schema) {
+    return validate(product, rules).map((e) => ({
+      productId: product?.id ?? null,
+      level: "error",
+      ...e,
+    }));
+  }
+
+  function countBy(products, key) {
+    const counts = new Map();
+    products.forEach((p) => {
+      const value =
+        typeof p?.[key] === "string" ? p[key].trim().toLowerCase() : p?.[key];
+      if (value !== undefined) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /* Every issue in the catalog. missingImages lists image paths known not
+     to exist (see findMissingImages in the browser, the file system in
+     Node). Review dates after `now` are errors. */
+  function validateCatalog(
+    products,
+    { missingImages = [], now = new Date(), rules = schema } = {},
+  ) {
+    const issues = [];
+    const ids = countBy(products, "id");
+    const names = countBy(products, "name");
+    const missing = new Set(missingImages);
+    const today = now.toISOString().slice(0, 10);
+
+    products.forEach((product) => {
+      issues.push(...validateProduct(product, rules));
+      if (!product || typeof product !== "object") return;
+      const add = (level, path, message) =>
+        issues.push({ productId: product.id, level, path, message });
+
+      if (ids.get(product.id) > 1)
+        add(
+          "error",
+          "id",
+          `id ${product.id} is used by ${ids.get(product.id)} products`,
+        );
+      const name = product.name?.trim?.().toLowerCase();
+      if (name && names.get(name) > 1)
+        add(
+          "warning",
+          "name",
+          `name "${product.name.trim()}" is shared by ${names.get(name)} products`,
+        );
+
+      (Array.isArray(product.relatedProducts)
+        ? product.relatedProducts
+        : []
+      ).forEach((id, i) => {
+        const path = `relatedProducts[${i}]`;
+        if (id === product.id)
+          add("warning", path, `${path} refers to the product itself`);
+        else if (!ids.has(id))
+          add(
+            "error",
+            path,
+            `${path} refers to product ${id}, which does not exist`,
+          );
+      });
+
+      (Array.isArray(product.reviews) ? product.reviews : []).forEach(
+        (review, i) => {
+          // malformed dates are already reported by the schema
+          if (isDate(review?.date) && review.date > today)
+            add(
+              "error",
+              `reviews[${i}].date`,
+              `reviews[${i}].date ${review.date} is in the future`,
+            );
+        },
+      );
+
+      (Array.isArray(product.images) ? product.images : []).forEach(
+        (src, i) => {
+          if (missing.has(src))
+            add("error", `images[${i}]`, `images[${i}] "${src}" was not found`);
+        },
+      );
+    });
+    return issues;
+  }
+
+  const errorsOf = (issues) => issues.filter((i) => i.level === "error");
+
+  const imageChecks = new Map();
+
+  /* Image paths of `products` that the server does not have.
+     Each path is requested once per page. */
+  async function findMissingImages(products) {
+    const paths = [
+      ...new Set(
+        products.flatMap((p) => (Array.isArray(p?.images) ? p.images : [])),
+      ),
+    ].filter((src) => typeof src === "string" && src);
+    const results = await Promise.all(
+      paths.map((src) => {
+        if (!imageChecks.has(src))
+          imageChecks.set(
+            src,
+            fetch(src, { method: "HEAD" })
+              .then((res) => res.ok)
+              .catch(() => false),
+          );
+        return imageChecks.get(src).then((ok) => (ok ? null : src));
+      }),
+    );
+    return results.filter(Boolean);
+  }
+
+  return {
+    SCHEMA_URL,
+    loadSchema,
+    getSchema,
+    setSchema,
+    validate,
+    validateProduct,
+    validateCatalog,
+    errorsOf,
+    findMissingImages,
+  };
+});
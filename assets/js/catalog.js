@@ -0,0 +1,164 @@
+(function (window, document) {
+  "use strict";
+
+  const DATA_URL = "assets/data/products.json";
+  /* Units taken out of (negative) or put back into stock since
+     products.json was published, by OrdersAPI as orders are paid,
+     cancelled or refunded: localStorage "stockAdjustments" { [id]: delta }.
+     Changes fire "stock:updated" on document. */
+  const STOCK_KEY = "stockAdjustments";
+  const STOCK_EVENT = "stock:updated";
+
+  let cache = null;
+  let pending = null;
+  let issues = [];
+
+  /* Fetched once per page; concurrent callers share the same request.
+     Promotions, coupons, shipping/tax rates and the spec schema are loaded
+     alongside, so prices, totals and spec tables are final once this
+     resolves. The catalog is checked once against the product schema (see
+     checkCatalog). */
+  function loadProducts() {
+    if (!pending) {
+      const pricing = Promise.all([
+        window.PromotionsAPI?.loadPromotions(),
+        window.CouponAPI?.loadCoupons(),
+        window.PricingAPI?.loadPricing(),
+        window.SpecsAPI?.loadSchema(),
+        window.CatalogSchemaAPI?.loadSchema(),
+      ]);
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          cache = Array.isArray(data) ? data : [];
+        })
+        .catch((err) => {
+          console.error("Error loading products.json:", err);
+          cache = [];
+        })
+        .then(() => pricing)
+        .then(() => {
+          issues = checkCatalog(cache);
+          return cache;
+        });
+    }
+    return pending;
+  }
+
+  /* Same checks as scripts/validate-catalog.js, minus the image files
+     (a request per image is too much for every page load). Products are
+     kept as they are; the issues are flagged in getIssues() and reported
+     in a single console warning. */
+  function checkCatalog(products) {
+    if (!window.CatalogSchemaAPI || !products.length) return [];
+    const found = window.CatalogSchemaAPI.validateCatalog(products);
+    if (found.length)
+      console.warn(
+        `products.json has ${found.length} issue(s) (see scripts/validate-catalog.js):\n` +
+          found
+            .map((i) => `#${i.productId} ${i.level}: ${i.message}`)
+            .join("\n"),
+      );
+    return found;
+  }
+
+  // issues found by checkCatalog, optionally for one product
+  function getIssues(id) {
+    return id === undefined
+      ? issues
+      : issues.filter((i) => String(i.productId) === String(id));
+  }
+
+  // synchronous view of the catalog; empty until loadProducts() resolved
+  function getProducts() {
+    return cache || [];
+  }
+
+  function findProduct(id) {
+    return getProducts().find((p) => String(p.id) === String(id)) || null;
+  }
+
+  function getStockAdjustments() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STOCK_KEY));
+      return data && typeof data === "object" ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  // add `delta` units (negative to take them out) to a product's stock
+  function adjustStock(id, delta) {
+    const amount = parseInt(delta, 10);
+    if (!amount) return;
+    const adjustments = getStockAdjustments();
+    adjustments[id] = (parseInt(adjustments[id], 10) || 0) + amount;
+    if (!adjustments[id]) delete adjustments[id];
+    try {
+      localStorage.setItem(STOCK_KEY, JSON.stringify(adjustments));
+    } catch (e) {
+      console.error("Stock save error", e);
+    }
+    document.dispatchEvent(
+      new CustomEvent(STOCK_EVENT, { detail: { id, delta: amount } }),
+    );
+  }
+
+  /* Units available for a product id: products.json plus the adjustments
+     above. Unknown products (or a catalog that has not loaded yet) are not
+     limited, so the cart never blocks on I/O. */
+  function getStock(id) {
+    const product = findProduct(id);
+    if (!product) return Infinity;
+    const stock = parseInt(product.stock, 10);
+    if (!Number.isFinite(stock)) return Infinity;
+    const adjustment = parseInt(getStockAdjustments()[product.id], 10) || 0;
+    return Math.max(0, stock + adjustment);
+  }
+
+  // categories in the order they first appear in products.json
+  function getCategories() {
+    return [
+      ...new Set(
+        getProducts()
+          .map((p) => p.category)
+          .filter(Boolean),
+      ),
+    ];
+  }
+
+  // list price in whole $ (prices are stored as USD numbers)
+  function getListPrice(product) {
+    return Math.round(Number(product?.price) || 0);
+  }
+
+  // price a customer pays for one unit right now (see PromotionsAPI)
+  function getUnitPrice(product) {
+    if (!window.PromotionsAPI) return getListPrice(product);
+    return window.PromotionsAPI.getEffectivePrice(product).price;
+  }
+
+  // { average, count } including customer reviews (see ReviewsAPI)
+  function getRating(product) {
+    if (window.ReviewsAPI) return window.ReviewsAPI.getAggregate(product);
+    return {
+      average: Number(product?.rating?.average) || 0,
+      count: Number(product?.rating?.count) || 0,
+    };
+  }
+
+  window.CatalogAPI = {
+    STOCK_EVENT,
+    loadProducts,
+    getProducts,
+    findProduct,
+    getIssues,
+    getCategories,
+    getStock,
+    getStockAdjustments,
+    adjustStock,
+    getListPrice,
+    getUnitPrice,
+    getRating,
+  };
+})(window, document);
@@ -0,0 +1,125 @@
+(function (window, document) {
+  "use strict";
+
+  /* Products picked for side-by-side comparison. localStorage
+     "compareList": { category, ids: [id] }
+     Specs only line up within one category, so every product on the list
+     shares it. Changes fire "compare:updated" on document with
+     { ids, category, count }. */
+  const STORAGE_KEY = "compareList";
+  const EVENT_NAME = "compare:updated";
+  const MAX_ITEMS = 4;
+
+  function read() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (data && Array.isArray(data.ids) && data.ids.length) return data;
+    } catch {
+      /* fall through */
+    }
+    return { category: null, ids: [] };
+  }
+
+  function notify() {
+    const { ids, category } = read();
+    document.dispatchEvent(
+      new CustomEvent(EVENT_NAME, {
+        detail: { ids, category, count: ids.length },
+      }),
+    );
+  }
+
+  function write(category, ids) {
+    try {
+      if (ids.length)
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ category, ids }));
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error("Compare list save error", e);
+    }
+    notify();
+  }
+
+  function getIds() {
+    return read().ids;
+  }
+
+  function getCategory() {
+    return read().category;
+  }
+
+  function getCount() {
+    return read().ids.length;
+  }
+
+  function has(id) {
+    return read().ids.some((x) => String(x) === String(id));
+  }
+
+  /* Returns { ok: true } or { ok: false, code, error }:
+     code "category" when the list holds another category (see replaceWith),
+     "full" when MAX_ITEMS products are already picked. */
+  function add(product) {
+    if (!product)
+      return { ok: false, code: "unknown", error: "Unknown product." };
+    const { category, ids } = read();
+    if (has(product.id)) return { ok: true };
+    if (ids.length && category !== product.category)
+      return {
+        ok: false,
+        code: "category",
+        error: "Only products of the same category can be compared.",
+      };
+    if (ids.length >= MAX_ITEMS)
+      return {
+        ok: false,
+        code: "full",
+        error: `You can compare up to ${MAX_ITEMS} products at a time.`,
+      };
+    write(product.category, [...ids, product.id]);
+    return { ok: true };
+  }
+
+  // starts a new comparison with just this product
+  function replaceWith(product) {
+    write(product.category, [product.id]);
+  }
+
+  function remove(id) {
+    const { category, ids } = read();
+    write(
+      category,
+      ids.filter((x) => String(x) !== String(id)),
+    );
+  }
+
+  function clear() {
+    write(null, []);
+  }
+
+  /* Picked products from the catalog, in the order they were added
+     (CatalogAPI.loadProducts() must have resolved). */
+  function getProducts() {
+    return getIds()
+      .map((id) => window.CatalogAPI.findProduct(id))
+      .filter(Boolean);
+  }
+
+  window.addEventListener("storage", (e) => {
+    if (e.key === null || e.key === STORAGE_KEY) notify();
+  });
+
+  window.CompareAPI = {
+    EVENT_NAME,
+    MAX_ITEMS,
+    getIds,
+    getCategory,
+    getCount,
+    has,
+    add,
+    replaceWith,
+    remove,
+    clear,
+    getProducts,
+  };
+})(window, document);
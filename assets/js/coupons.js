@@ -0,0 +1,221 @@
+(function (window, document) {
+  "use strict";
+
+  const DATA_URL = "assets/data/coupons.json";
+  const APPLIED_KEY = "cartCoupon"; // code currently applied to the cart
+  const REDEMPTIONS_KEY = "couponRedemptions"; // { CODE: [userEmail, ...] }
+
+  let coupons = [];
+  let pending = null;
+
+  /* Coupon shape (assets/data/coupons.json):
+     {
+       code, description,
+       type: "percentage" | "fixed",  // value is percent, or $ off the order
+       value: number,
+       minOrder?: number,             // cart subtotal needed, in $
+       categories?: string[],         // only lines of these categories count
+       expiresAt?: ISO string | null,
+       singleUsePerUser?: boolean
+     } */
+  function loadCoupons() {
+    if (!pending) {
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          coupons = Array.isArray(data) ? data : [];
+          return coupons;
+        })
+        .catch((err) => {
+          console.error("Error loading coupons.json:", err);
+          coupons = [];
+          return coupons;
+        });
+    }
+    return pending;
+  }
+
+  function normalizeCode(code) {
+    return String(code || "")
+      .trim()
+      .toUpperCase();
+  }
+
+  function findCoupon(code) {
+    const wanted = normalizeCode(code);
+    return coupons.find((c) => normalizeCode(c.code) === wanted) || null;
+  }
+
+  function readJSON(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function getAppliedCode() {
+    return normalizeCode(localStorage.getItem(APPLIED_KEY)) || null;
+  }
+
+  // email of the logged-in user; single-use coupons are tracked per email
+  function currentUserKey() {
+    return window.AuthAPI?.getCurrentUser()?.email || null;
+  }
+
+  function hasRedeemed(code, userKey) {
+    if (!userKey) return false;
+    const redemptions = readJSON(REDEMPTIONS_KEY, {});
+    return (redemptions[normalizeCode(code)] || []).includes(userKey);
+  }
+
+  function categoryOf(item) {
+    return window.CatalogAPI?.findProduct(item.id)?.category || null;
+  }
+
+  /* Check a coupon against cart lines. Returns { valid, discount, reason }.
+     discount is in whole $ and never exceeds the eligible subtotal. */
+  function checkCoupon(coupon, items, now = new Date()) {
+    const invalid = (reason) => ({ valid: false, discount: 0, reason });
+    if (!coupon) return invalid("This code does not exist.");
+
+    const expires = coupon.expiresAt ? new Date(coupon.expiresAt) : null;
+    if (expires && now >= expires) return invalid("This code has expired.");
+    if (coupon.singleUsePerUser && hasRedeemed(coupon.code, currentUserKey()))
+      return invalid("You have already used this code.");
+
+    const subtotal = items.reduce((s, it) => s + it.price * it.quantity, 0);
+    const minOrder = Number(coupon.minOrder) || 0;
+    if (subtotal < minOrder)
+      return invalid(
+        `This code needs an order of at least ${minOrder.toLocaleString()} $.`,
+      );
+
+    const eligible = coupon.categories?.length
+      ? items.filter((it) => coupon.categories.includes(categoryOf(it)))
+      : items;
+    const base = eligible.reduce((s, it) => s + it.price * it.quantity, 0);
+    if (base === 0)
+      return invalid(
+        `This code only applies to ${coupon.categories.join(", ")} products.`,
+      );
+
+    const value = Number(coupon.value) || 0;
+    const discount =
+      coupon.type === "percentage"
+        ? Math.round((base * Math.min(value, 100)) / 100)
+        : Math.round(value);
+    return { valid: true, discount: Math.min(discount, base), reason: "" };
+  }
+
+  /* The applied coupon evaluated for these lines (used by PricingAPI when it
+     builds totals), or null when no code is applied. */
+  function evaluate(items, now = new Date()) {
+    const code = getAppliedCode();
+    if (!code) return null;
+    return { code, ...checkCoupon(findCoupon(code), items, now) };
+  }
+
+  function refreshCart() {
+    window.CartAPI?.refresh();
+  }
+
+  // only valid codes are stored; returns { code, valid, discount, reason }
+  function applyCoupon(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized)
+      return { code: "", valid: false, discount: 0, reason: "Enter a code." };
+    const items = window.CartAPI ? window.CartAPI.getCart() : [];
+    const result = {
+      code: normalized,
+      ...checkCoupon(findCoupon(normalized), items),
+    };
+    if (result.valid) {
+      localStorage.setItem(APPLIED_KEY, normalized);
+      refreshCart();
+    }
+    return result;
+  }
+
+  function removeCoupon() {
+    localStorage.removeItem(APPLIED_KEY);
+    refreshCart();
+  }
+
+  // called once an order using the code has been saved
+  function recordRedemption(code) {
+    const userKey = currentUserKey();
+    const normalized = normalizeCode(code);
+    if (!userKey || !normalized) return;
+    const redemptions = readJSON(REDEMPTIONS_KEY, {});
+    const users = redemptions[normalized] || [];
+    if (!users.includes(userKey)) users.push(userKey);
+    redemptions[normalized] = users;
+    localStorage.setItem(REDEMPTIONS_KEY, JSON.stringify(redemptions));
+  }
+
+  /* Coupon forms (cart modal, cart page, checkout):
+     <form class="coupon-form"> with input[name=coupon], .coupon-apply,
+     .coupon-remove and .coupon-message. */
+  function renderForm(form, coupon) {
+    const input = form.querySelector("input[name='coupon']");
+    const applyBtn = form.querySelector(".coupon-apply");
+    const removeBtn = form.querySelector(".coupon-remove");
+    const message = form.querySelector(".coupon-message");
+
+    if (coupon) {
+      input.value = coupon.code;
+      message.textContent = coupon.valid
+        ? `Code ${coupon.code} applied: −${coupon.discount.toLocaleString()} $`
+        : coupon.reason;
+      message.classList.toggle("is-error", !coupon.valid);
+    } else if (input.disabled) {
+      // the code was just removed
+      input.value = "";
+      message.textContent = "";
+    }
+    input.disabled = !!coupon;
+    if (applyBtn) applyBtn.hidden = !!coupon;
+    if (removeBtn) removeBtn.hidden = !coupon;
+  }
+
+  function initCouponForms() {
+    const forms = Array.from(document.querySelectorAll(".coupon-form"));
+    if (!forms.length || !window.CartAPI) return;
+
+    forms.forEach((form) => {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const input = form.querySelector("input[name='coupon']");
+        const result = applyCoupon(input.value);
+        if (!result.valid) {
+          const message = form.querySelector(".coupon-message");
+          message.textContent = result.reason;
+          message.classList.add("is-error");
+        }
+      });
+      form
+        .querySelector(".coupon-remove")
+        ?.addEventListener("click", () => removeCoupon());
+    });
+
+    const render = (state) =>
+      forms.forEach((form) => renderForm(form, state.coupon));
+    render(window.CartAPI.getCartState());
+    window.CartAPI.subscribe(render);
+  }
+
+  window.CouponAPI = {
+    APPLIED_KEY,
+    loadCoupons,
+    findCoupon,
+    getAppliedCode,
+    checkCoupon,
+    evaluate,
+    applyCoupon,
+    removeCoupon,
+    recordRedemption,
+  };
+
+  document.addEventListener("DOMContentLoaded", initCouponForms);
+})(window, document);
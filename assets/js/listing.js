@@ -0,0 +1,539 @@
+(function (window, document) {
+  "use strict";
+
+  /* Product listing (products.html?category=...): cards, pagination,
+     sorting and a filter sidebar built from the products being listed, so
+     a new category in products.json needs no page of its own.
+
+     Listing state:
+       { facets: { [specKey]: [value] }, minPrice, maxPrice, inStock,
+         rating, sort, page }
+       facets  picked values per filterable spec (SpecsAPI.getFacets); a
+               product matches any picked value of a facet, and every facet
+       minPrice / maxPrice  null = no limit; rating  0 = any
+     It lives in the query string (see stateToQuery), so a filtered view can
+     be bookmarked or shared and Back / Forward step through changes. */
+  const ITEMS_PER_PAGE = 6;
+  const RATING_STEPS = [4, 3, 2, 1];
+  const SORTS = ["price-asc", "price-desc", "name-asc", "name-desc"];
+  const STATE_PARAMS = ["min", "max", "stock", "rating", "sort", "page"];
+
+  const { escapeHtml } = window.UtilsAPI;
+
+  const ratingOf = (p) => window.CatalogAPI.getRating(p).average;
+
+  // "165Hz" and "165 Hz", "white" and "White" are the same facet value
+  function valueKey(value) {
+    return String(value).toLowerCase().replace(/\s+/g, "");
+  }
+
+  function defaultState(facets = []) {
+    return {
+      facets: Object.fromEntries(facets.map((f) => [f.key, []])),
+      minPrice: null,
+      maxPrice: null,
+      inStock: false,
+      rating: 0,
+      sort: "",
+      page: 1,
+    };
+  }
+
+  /* e.g. ?category=laptop&brand=DELL&brand=HP&memory=16GB+RAM&min=300&max=900
+          &stock=1&rating=4&sort=price-asc&page=2
+     Each facet is a parameter named after its spec. Defaults are left out,
+     and parameters the listing does not own (category, ...) are kept. */
+  function stateToQuery(state, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    [...STATE_PARAMS, ...Object.keys(state.facets)].forEach((key) =>
+      params.delete(key),
+    );
+    Object.entries(state.facets).forEach(([key, values]) =>
+      values.forEach((value) => params.append(key, value)),
+    );
+    if (state.minPrice !== null) params.set("min", state.minPrice);
+    if (state.maxPrice !== null) params.set("max", state.maxPrice);
+    if (state.inStock) params.set("stock", "1");
+    if (state.rating) params.set("rating", state.rating);
+    if (state.sort) params.set("sort", state.sort);
+    if (state.page > 1) params.set("page", state.page);
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  }
+
+  // anything missing or malformed falls back to the default
+  function stateFromQuery(search = window.location.search, facets = []) {
+    const params = new URLSearchParams(search);
+    const state = defaultState(facets);
+    facets.forEach((f) => {
+      state.facets[f.key] = params.getAll(f.key).filter(Boolean);
+    });
+    const min = parseInt(params.get("min"), 10);
+    if (min >= 0) state.minPrice = min;
+    const max = parseInt(params.get("max"), 10);
+    if (max >= 0) state.maxPrice = max;
+    state.inStock = params.get("stock") === "1";
+    const rating = Number(params.get("rating"));
+    if (RATING_STEPS.includes(rating)) state.rating = rating;
+    if (SORTS.includes(params.get("sort"))) state.sort = params.get("sort");
+    const page = parseInt(params.get("page"), 10);
+    if (page > 1) state.page = page;
+    return state;
+  }
+
+  /* What the sidebar offers for these products: every facet with at least
+     two values (first spelling seen, natural order), price bounds (whole $,
+     current prices) and the "N★ & up" steps that would narrow the list. */
+  function getFilterOptions(products, facets = []) {
+    const prices = products.map((p) => window.CatalogAPI.getUnitPrice(p));
+    const ratings = products.map((p) => ratingOf(p));
+    const facetOptions = facets
+      .map((facet) => {
+        const values = new Map();
+        products.forEach((p) =>
+          window.SpecsAPI.getSpecValues(p, facet).forEach((v) => {
+            if (!values.has(valueKey(v))) values.set(valueKey(v), v);
+          }),
+        );
+        return {
+          key: facet.key,
+          label: facet.label,
+          values: [...values.values()]
+            .map((v) => v.charAt(0).toUpperCase() + v.slice(1))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+        };
+      })
+      .filter((f) => f.values.length > 1);
+
+    return {
+      facets: facetOptions,
+      minPrice: prices.length ? Math.floor(Math.min(...prices)) : 0,
+      maxPrice: prices.length ? Math.ceil(Math.max(...prices)) : 0,
+      ratings: RATING_STEPS.filter(
+        (step) =>
+          ratings.some((r) => r >= step) && ratings.some((r) => r < step),
+      ),
+    };
+  }
+
+  /* Products passing every filter in state. `except` leaves one filter out
+     ("price", "stock", "rating" or a facet key), which is how the sidebar
+     counts what picking another value of that filter would show. */
+  function filterProducts(products, state, facets = [], except = null) {
+    const price = (p) => window.CatalogAPI.getUnitPrice(p);
+    return products.filter((p) => {
+      if (except !== "price") {
+        if (state.minPrice !== null && price(p) < state.minPrice) return false;
+        if (state.maxPrice !== null && price(p) > state.maxPrice) return false;
+      }
+      if (
+        except !== "stock" &&
+        state.inStock &&
+        !(window.CatalogAPI.getStock(p.id) > 0)
+      )
+        return false;
+      if (except !== "rating" && ratingOf(p) < state.rating) return false;
+      return facets.every((facet) => {
+        const picked = state.facets[facet.key] || [];
+        if (facet.key === except || !picked.length) return true;
+        const wanted = picked.map(valueKey);
+        return window.SpecsAPI.getSpecValues(p, facet).some((v) =>
+          wanted.includes(valueKey(v)),
+        );
+      });
+    });
+  }
+
+  /* How many products each sidebar choice would show, given the other
+     filters: { stock, rating: { [step]: n }, [facetKey]: { [valueKey]: n } } */
+  function getFilterCounts(products, state, facets = []) {
+    const inStock = filterProducts(products, state, facets, "stock").filter(
+      (p) => window.CatalogAPI.getStock(p.id) > 0,
+    ).length;
+    const rated = filterProducts(products, state, facets, "rating");
+    const counts = {
+      stock: inStock,
+      rating: Object.fromEntries(
+        RATING_STEPS.map((step) => [
+          step,
+          rated.filter((p) => ratingOf(p) >= step).length,
+        ]),
+      ),
+    };
+    counts.rating[0] = rated.length;
+    facets.forEach((facet) => {
+      const perValue = {};
+      filterProducts(products, state, facets, facet.key).forEach((p) =>
+        new Set(window.SpecsAPI.getSpecValues(p, facet).map(valueKey)).forEach(
+          (key) => {
+            perValue[key] = (perValue[key] || 0) + 1;
+          },
+        ),
+      );
+      counts[facet.key] = perValue;
+    });
+    return counts;
+  }
+
+  // returns a sorted copy; "" keeps catalog order
+  function sortProducts(products, sort) {
+    const priceOf = (p) => window.CatalogAPI.getUnitPrice(p);
+    const sorted = [...products];
+    if (sort === "price-asc") sorted.sort((a, b) => priceOf(a) - priceOf(b));
+    else if (sort === "price-desc")
+      sorted.sort((a, b) => priceOf(b) - priceOf(a));
+    else if (sort === "name-asc")
+      sorted.sort((a, b) => a.name.localeCompare(b.name));
+    else if (sort === "name-desc")
+      sorted.sort((a, b) => b.name.localeCompare(a.name));
+    return sorted;
+  }
+
+  // { items, page, totalPages }; page is clamped to the available pages
+  function paginate(products, page) {
+    const totalPages = Math.max(1, Math.ceil(products.length / ITEMS_PER_PAGE));
+    const current = Math.min(Math.max(1, page || 1), totalPages);
+    const start = (current - 1) * ITEMS_PER_PAGE;
+    return {
+      items: products.slice(start, start + ITEMS_PER_PAGE),
+      page: current,
+      totalPages,
+    };
+  }
+
+  // card markup; the heart, compare and stock helpers live in script.js
+  function renderCard(p) {
+    const rating = window.CatalogAPI.getRating(p);
+    const ratingText = rating.average ? `${rating.average.toFixed(1)}★` : "N/A";
+    const pricing = window.PromotionsAPI.getEffectivePrice(p);
+    const listPrice = pricing.promotion
+      ? ` <s class="listing-product-card__list-price">${pricing.listPrice.toLocaleString()} $</s>`
+      : "";
+    // depends on the region / delivery chosen at checkout (see PricingAPI)
+    const shippingLabel = window.PricingAPI?.getShippingLabel(pricing.price);
+
+    return `
+      <div class="col">
+        <article class="listing-product-card h-100 d-flex flex-column">
+          <div class="listing-product-card__image-wrap">
+            <img src="${p.images[0]}" alt="${p.name}" loading="lazy">
+            <span class="listing-product-card__badge">${p.brand}</span>
+            ${wishlistButton(p)}
+          </div>
+
+          <div class="listing-product-card__body d-flex flex-column flex-grow-1">
+            <div class="d-flex justify-content-between align-items-start gap-2">
+              <h3>${p.shortName}</h3>
+              <span class="listing-product-card__rating">${ratingText}</span>
+            </div>
+
+            <p class="listing-product-card__model">Model: ${p.name}</p>
+            <p class="listing-product-card__desc">${p.shortDesc}</p>
+
+            <div class="mt-auto">
+              <div class="listing-product-card__price-row">
+                <span class="listing-product-card__price">${pricing.price.toLocaleString()} $${listPrice}</span>
+                ${shippingLabel ? `<span class="listing-product-card__label">${shippingLabel}</span>` : ""}
+                ${renderStockBadge(p)}
+              </div>
+              ${compareCheckbox(p)}
+              <a class="listing-product-card__btn" href="product.html?id=${p.id}">View Product</a>
+            </div>
+          </div>
+        </article>
+      </div>`;
+  }
+
+  function renderPagination(container, page, totalPages) {
+    if (totalPages <= 1) {
+      container.innerHTML = "";
+      return;
+    }
+    const button = (target, text, active = false) =>
+      `<button type="button" class="btn btn-sm ${
+        active ? "btn-primary" : "btn-outline-primary"
+      } me-1" data-page="${target}">${text}</button>`;
+
+    let html = "";
+    if (page > 1) html += button(page - 1, "Previous");
+    for (let i = 1; i <= totalPages; i++) html += button(i, i, i === page);
+    if (page < totalPages) html += button(page + 1, "Next");
+    container.innerHTML = html;
+  }
+
+  const countBadge = (key) =>
+    `<span class="facet-count" data-count="${escapeHtml(key)}"></span>`;
+
+  // the sidebar skeleton; counts are filled in by updateFilterCounts
+  function renderFilters(container, options, state) {
+    const facetHtml = options.facets
+      .map(
+        (facet) => `
+        <div class="filter-group mb-3">
+          <h5>${escapeHtml(facet.label)}</h5>
+          ${facet.values
+            .map((value) => {
+              const picked = (state.facets[facet.key] || []).some(
+                (v) => valueKey(v) === valueKey(value),
+              );
+              return `<label><input type="checkbox" class="facetFilter" data-facet="${escapeHtml(
+                facet.key,
+              )}" value="${escapeHtml(value)}"${picked ? " checked" : ""} /> ${escapeHtml(
+                value,
+              )} ${countBadge(`${facet.key}:${valueKey(value)}`)}</label>`;
+            })
+            .join("")}
+        </div>`,
+      )
+      .join("");
+    const ratingHtml = [0, ...options.ratings]
+      .map(
+        (step) =>
+          `<label><input type="radio" name="rating" class="ratingFilter" value="${step}"${
+            state.rating === step ? " checked" : ""
+          } /> ${step ? `${step}★ & up` : "Any rating"} ${countBadge(
+            `rating:${step}`,
+          )}</label>`,
+      )
+      .join("");
+
+    container.innerHTML = `
+      <h3 class="aside-title">Filter Products</h3>
+
+      <div class="filter-group mb-3">
+        <h5>Price ($)</h5>
+        <div class="price-range">
+          <input type="number" id="priceMin" class="form-control form-control-sm" min="${
+            options.minPrice
+          }" max="${options.maxPrice}" step="1" placeholder="${
+            options.minPrice
+          }" value="${state.minPrice ?? ""}" aria-label="Minimum price" />
+          <span>–</span>
+          <input type="number" id="priceMax" class="form-control form-control-sm" min="${
+            options.minPrice
+          }" max="${options.maxPrice}" step="1" placeholder="${
+            options.maxPrice
+          }" value="${state.maxPrice ?? ""}" aria-label="Maximum price" />
+        </div>
+      </div>
+
+      <div class="filter-group mb-3">
+        <label><input type="checkbox" id="inStockFilter"${
+          state.inStock ? " checked" : ""
+        } /> In stock only ${countBadge("stock")}</label>
+      </div>
+
+      ${facetHtml}
+
+      ${
+        options.ratings.length
+          ? `<div class="filter-group"><h5>Customer Rating</h5>${ratingHtml}</div>`
+          : ""
+      }`;
+  }
+
+  // values that would show nothing are greyed out, unless already picked
+  function updateFilterCounts(container, counts) {
+    container.querySelectorAll("[data-count]").forEach((badge) => {
+      const [group, ...rest] = badge.dataset.count.split(":");
+      const n =
+        (rest.length ? counts[group]?.[rest.join(":")] : counts[group]) || 0;
+      badge.textContent = `(${n})`;
+      const input = badge.closest("label").querySelector("input");
+      input.disabled = n === 0 && !input.checked;
+      badge.closest("label").classList.toggle("is-empty", input.disabled);
+    });
+  }
+
+  // one removable chip per active filter, plus "Clear all"
+  function renderActiveFilters(container, options, state) {
+    if (!container) return;
+    const chip = (text, data) =>
+      `<button type="button" class="filter-chip" ${data} aria-label="Remove filter: ${escapeHtml(
+        text,
+      )}">${escapeHtml(text)} <span aria-hidden="true">&times;</span></button>`;
+    const chips = [];
+
+    options.facets.forEach((facet) =>
+      (state.facets[facet.key] || []).forEach((value) =>
+        chips.push(
+          chip(
+            `${facet.label}: ${value}`,
+            `data-facet="${escapeHtml(facet.key)}" data-value="${escapeHtml(value)}"`,
+          ),
+        ),
+      ),
+    );
+    if (state.minPrice !== null || state.maxPrice !== null)
+      chips.push(
+        chip(
+          `Price: ${(state.minPrice ?? options.minPrice).toLocaleString()} – ${(
+            state.maxPrice ?? options.maxPrice
+          ).toLocaleString()} $`,
+          'data-filter="price"',
+        ),
+      );
+    if (state.inStock) chips.push(chip("In stock only", 'data-filter="stock"'));
+    if (state.rating)
+      chips.push(chip(`${state.rating}★ & up`, 'data-filter="rating"'));
+
+    container.hidden = chips.length === 0;
+    container.innerHTML = chips.length
+      ? `${chips.join("")}<button type="button" class="filter-chip filter-chip--clear" data-filter="all">Clear all</button>`
+      : "";
+  }
+
+  /* Wires a listing page: elements #products, #noProducts, #pagination,
+     #sortProducts, #listingFilters (the sidebar is rendered into it) and
+     optionally #activeFilters for the chips. Facets come from the spec
+     schema of `category` (brand and color only when it is not set), unless
+     given as `facets`. The starting state comes from the URL. Returns
+     { getState, setState } so callers can drive it from outside. */
+  function mountListing(
+    products,
+    { category, facets = window.SpecsAPI.getFacets(category) } = {},
+  ) {
+    const el = (id) => document.getElementById(id);
+    const options = getFilterOptions(products, facets);
+    let state = readUrl();
+
+    // a shared link may name values nothing listed has (those filters could
+    // not be seen or removed), or a price limit outside everything listed
+    function readUrl() {
+      const fromUrl = stateFromQuery(window.location.search, facets);
+      facets.forEach(({ key }) => {
+        const offered = (
+          options.facets.find((f) => f.key === key)?.values || []
+        ).map(valueKey);
+        fromUrl.facets[key] = fromUrl.facets[key].filter((v) =>
+          offered.includes(valueKey(v)),
+        );
+      });
+      if (fromUrl.minPrice <= options.minPrice) fromUrl.minPrice = null;
+      if (fromUrl.maxPrice >= options.maxPrice) fromUrl.maxPrice = null;
+      return fromUrl;
+    }
+
+    function render() {
+      const visible = sortProducts(
+        filterProducts(products, state, facets),
+        state.sort,
+      );
+      const { items, page, totalPages } = paginate(visible, state.page);
+      state.page = page;
+
+      el("products").innerHTML = items.map(renderCard).join("");
+      el("noProducts").style.display = items.length ? "none" : "block";
+      renderPagination(el("pagination"), page, totalPages);
+      updateFilterCounts(
+        el("listingFilters"),
+        getFilterCounts(products, state, facets),
+      );
+      renderActiveFilters(el("activeFilters"), options, state);
+    }
+
+    function renderControls() {
+      renderFilters(el("listingFilters"), options, state);
+      el("sortProducts").value = state.sort;
+    }
+
+    // "push" adds a history entry, "replace" rewrites the current one
+    function writeUrl(mode = "push") {
+      const query = stateToQuery(state);
+      if (query === window.location.search) return;
+      const url = window.location.pathname + query + window.location.hash;
+      if (mode === "replace") history.replaceState(null, "", url);
+      else history.pushState(null, "", url);
+    }
+
+    function setState(changes, { history: mode = "push" } = {}) {
+      state = { ...state, ...changes };
+      render();
+      if (mode) writeUrl(mode);
+    }
+
+    // typed prices count once the field is left (or Enter is pressed);
+    // a limit at or beyond the listed range means no limit
+    function readPrice(input, bound, isMin) {
+      const value = parseInt(input.value, 10);
+      if (!(value >= 0)) return null;
+      return (isMin ? value <= bound : value >= bound) ? null : value;
+    }
+
+    el("listingFilters").addEventListener("change", (e) => {
+      const target = e.target;
+      if (target.id === "priceMin" || target.id === "priceMax") {
+        let min = readPrice(el("priceMin"), options.minPrice, true);
+        let max = readPrice(el("priceMax"), options.maxPrice, false);
+        if (min !== null && max !== null && min > max) [min, max] = [max, min];
+        el("priceMin").value = min ?? "";
+        el("priceMax").value = max ?? "";
+        setState({ minPrice: min, maxPrice: max, page: 1 });
+      } else if (target.id === "inStockFilter") {
+        setState({ inStock: target.checked, page: 1 });
+      } else if (target.matches(".facetFilter")) {
+        const key = target.dataset.facet;
+        const picked = [
+          ...el("listingFilters").querySelectorAll(".facetFilter:checked"),
+        ]
+          .filter((input) => input.dataset.facet === key)
+          .map((input) => input.value);
+        setState({ facets: { ...state.facets, [key]: picked }, page: 1 });
+      } else if (target.matches(".ratingFilter")) {
+        setState({ rating: Number(target.value) || 0, page: 1 });
+      }
+    });
+    el("sortProducts").addEventListener("change", (e) => {
+      setState({ sort: e.target.value, page: 1 });
+    });
+    el("pagination").addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-page]");
+      if (btn) setState({ page: Number(btn.dataset.page) });
+    });
+    el("activeFilters")?.addEventListener("click", (e) => {
+      const chip = e.target.closest(".filter-chip");
+      if (!chip) return;
+      const { facet, value, filter } = chip.dataset;
+      if (facet)
+        state.facets = {
+          ...state.facets,
+          [facet]: state.facets[facet].filter((v) => v !== value),
+        };
+      if (filter === "price" || filter === "all")
+        Object.assign(state, { minPrice: null, maxPrice: null });
+      if (filter === "stock" || filter === "all") state.inStock = false;
+      if (filter === "rating" || filter === "all") state.rating = 0;
+      if (filter === "all") state.facets = defaultState(facets).facets;
+      state.page = 1;
+      renderControls();
+      setState({});
+    });
+
+    // Back / Forward: show the listing as that URL describes it
+    window.addEventListener("popstate", () => {
+      state = readUrl();
+      renderControls();
+      render();
+    });
+
+    renderControls();
+    render();
+    // tidy a hand-edited or outdated link (price limits, page out of range)
+    writeUrl("replace");
+    return { getState: () => ({ ...state }), setState };
+  }
+
+  window.ListingAPI = {
+    ITEMS_PER_PAGE,
+    defaultState,
+    stateToQuery,
+    stateFromQuery,
+    getFilterOptions,
+    filterProducts,
+    getFilterCounts,
+    sortProducts,
+    paginate,
+    renderCard,
+    mountListing,
+  };
+})(window, document);
@@ -0,0 +1,171 @@
+(function (window) {
+  "use strict";
+
+  /* Local stand-in for a card processor, registered as the default
+     PaymentsAPI provider. Transactions live in localStorage so a later page
+     (e.g. a refund) can find them. Outcomes depend only on the card number. */
+  const STORAGE_KEY = "mockGatewayTransactions";
+  const LATENCY_MS = 800;
+  const HANG_MS = 60000; // longer than PaymentsAPI's timeout
+  const CHALLENGE_CODE = "1234";
+
+  const TEST_CARDS = [
+    { number: "4242424242424242", outcome: "success", label: "Approved" },
+    {
+      number: "4000000000009995",
+      outcome: "insufficient_funds",
+      label: "Insufficient funds",
+    },
+    {
+      number: "4000000000003220",
+      outcome: "challenge",
+      label: `3-D Secure (code ${CHALLENGE_CODE})`,
+    },
+    {
+      number: "4000000000000119",
+      outcome: "timeout",
+      label: "Network timeout",
+    },
+    { number: "4000000000000002", outcome: "card_declined", label: "Declined" },
+  ];
+
+  function readTransactions() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function saveTransaction(txn) {
+    const all = readTransactions();
+    all[txn.id] = txn;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return txn;
+  }
+
+  function delay(ms, value) {
+    return new Promise((resolve) => setTimeout(() => resolve(value), ms));
+  }
+
+  function resultOf(txn, extra = {}) {
+    return {
+      status: txn.status,
+      transactionId: txn.id,
+      amount: txn.amount,
+      last4: txn.last4,
+      ...extra,
+    };
+  }
+
+  function declined(code) {
+    return { status: "declined", code };
+  }
+
+  function challengeResult(txn) {
+    return resultOf(txn, {
+      challenge: { hint: `Test mode: the code is ${CHALLENGE_CODE}.` },
+    });
+  }
+
+  // the card's first six and last four digits, as processors keep them
+  function fingerprintOf(number) {
+    return `${number.slice(0, 6)}…${number.slice(-4)}`;
+  }
+
+  function authorize({ amount, card = {}, idempotencyKey = null } = {}) {
+    const number = String(card.number || "").replace(/\s/g, "");
+    const total = Math.round(Number(amount) || 0);
+    // same key, card and amount: the same attempt, so hand back the
+    // transaction already started. Another card or a changed total is a
+    // new attempt, and a declined one never counts.
+    const previous = Object.values(readTransactions()).find(
+      (t) =>
+        idempotencyKey &&
+        t.key === idempotencyKey &&
+        t.amount === total &&
+        t.fingerprint === fingerprintOf(number) &&
+        t.status !== "declined",
+    );
+    if (previous && previous.status === "requires_action")
+      return delay(LATENCY_MS, challengeResult(previous));
+    if (previous) return delay(LATENCY_MS, resultOf(previous));
+
+    if (!window.PaymentsAPI.isValidCardNumber(number))
+      return delay(LATENCY_MS, declined("invalid_card"));
+
+    const outcome =
+      TEST_CARDS.find((c) => c.number === number)?.outcome || "success";
+    if (outcome === "timeout")
+      return delay(HANG_MS, { status: "error", code: "timeout" });
+    if (outcome === "insufficient_funds" || outcome === "card_declined")
+      return delay(LATENCY_MS, declined(outcome));
+
+    const txn = saveTransaction({
+      id: `txn_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      key: idempotencyKey,
+      amount: total,
+      fingerprint: fingerprintOf(number),
+      last4: number.slice(-4),
+      status: outcome === "challenge" ? "requires_action" : "authorized",
+      refunded: 0,
+      createdAt: new Date().toISOString(),
+    });
+    return delay(
+      LATENCY_MS,
+      txn.status === "requires_action" ? challengeResult(txn) : resultOf(txn),
+    );
+  }
+
+  // moves a transaction from one status to the next, or reports why not
+  function transition(transactionId, from, apply) {
+    const txn = readTransactions()[transactionId];
+    if (!txn || txn.status !== from)
+      return delay(LATENCY_MS, declined("invalid_state"));
+    return delay(LATENCY_MS, apply(txn));
+  }
+
+  function confirmChallenge(transactionId, code) {
+    return transition(transactionId, "requires_action", (txn) => {
+      if (String(code).trim() !== CHALLENGE_CODE) {
+        saveTransaction({ ...txn, status: "declined" });
+        return declined("challenge_failed");
+      }
+      return resultOf(saveTransaction({ ...txn, status: "authorized" }));
+    });
+  }
+
+  function capture(transactionId) {
+    return transition(transactionId, "authorized", (txn) =>
+      resultOf(saveTransaction({ ...txn, status: "captured" })),
+    );
+  }
+
+  // full refund unless an amount is given; status stays "captured" until
+  // the whole amount has been returned
+  function refund(transactionId, amount) {
+    return transition(transactionId, "captured", (txn) => {
+      const requested = Math.round(Number(amount ?? txn.amount - txn.refunded));
+      if (!(requested > 0) || txn.refunded + requested > txn.amount)
+        return declined("invalid_state");
+      const refunded = txn.refunded + requested;
+      const status = refunded === txn.amount ? "refunded" : "captured";
+      return resultOf(saveTransaction({ ...txn, refunded, status }), {
+        refundedAmount: requested,
+      });
+    });
+  }
+
+  const MockGateway = {
+    id: "mock",
+    label: "Test gateway",
+    TEST_CARDS,
+    authorize,
+    confirmChallenge,
+    capture,
+    refund,
+  };
+
+  window.MockGateway = MockGateway;
+  window.PaymentsAPI?.registerProvider(MockGateway, { isDefault: true });
+})(window);
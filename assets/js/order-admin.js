@@ -0,0 +1,138 @@
+(function (window) {
+  "use strict";
+
+  /* Filtering and sales figures for admin-orders.html, computed from the
+     stored orders (OrdersAPI.getOrders()). Days are local calendar days
+     as "YYYY-MM-DD", the format of <input type="date">. */
+
+  // orders in these statuses count as sales; pending ones are not paid yet
+  const SALE_STATUSES = ["paid", "shipped", "delivered"];
+  const TOP_PRODUCTS = 5;
+
+  function dayKey(iso) {
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return "";
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // every day from `from` to `to`, both included
+  function daysBetween(from, to) {
+    const days = [];
+    const [y, m, d] = from.split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    while (dayKey(date) <= to) {
+      days.push(dayKey(date));
+      date.setDate(date.getDate() + 1);
+    }
+    return days;
+  }
+
+  const isSale = (order) =>
+    SALE_STATUSES.includes(window.OrdersAPI.getStatus(order));
+
+  /* Orders matching `query` (order number, customer name, email or phone,
+     or an item name), a status and a day range, newest first. */
+  function filterOrders(
+    orders,
+    { query = "", status = "", from = "", to = "" } = {},
+  ) {
+    const wanted = query.trim().toLowerCase();
+    return orders
+      .filter((order) => {
+        if (status && window.OrdersAPI.getStatus(order) !== status)
+          return false;
+        const day = dayKey(order.date);
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        if (!wanted) return true;
+        const info = order.checkout || {};
+        return [
+          order.id,
+          order.userEmail,
+          info.name,
+          info.email,
+          info.phone,
+          ...(order.items || []).map((item) => item.name),
+        ].some((value) =>
+          String(value ?? "")
+            .toLowerCase()
+            .includes(wanted),
+        );
+      })
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  /* Sales figures for `orders` (only paid, shipped and delivered ones):
+     {
+       revenue, sales (number of orders), averageOrderValue,
+       revenueByDay: [{ day, revenue, orders }],  // each day from..to
+       topProducts: [{ id, name, quantity, revenue }],
+       statusCounts: { [status]: n }               // every order
+     }
+     from / to default to the first and last day with a sale. */
+  function getSalesMetrics(orders, { from = "", to = "" } = {}) {
+    const sales = orders.filter(isSale);
+    const statusCounts = Object.fromEntries(
+      Object.keys(window.OrdersAPI.STATUS_LABELS).map((s) => [s, 0]),
+    );
+    orders.forEach((o) => statusCounts[window.OrdersAPI.getStatus(o)]++);
+
+    const byDay = new Map();
+    const byProduct = new Map();
+    let revenue = 0;
+    sales.forEach((order) => {
+      const total = Number(order.total) || 0;
+      revenue += total;
+      const day = dayKey(order.date);
+      const entry = byDay.get(day) || { revenue: 0, orders: 0 };
+      entry.revenue += total;
+      entry.orders++;
+      byDay.set(day, entry);
+
+      (order.items || []).forEach((item) => {
+        const key = String(item.id);
+        const quantity = Number(item.quantity) || 0;
+        const line = byProduct.get(key) || {
+          id: item.id,
+          name: item.name,
+          quantity: 0,
+          revenue: 0,
+        };
+        line.quantity += quantity;
+        line.revenue += (Number(item.price) || 0) * quantity;
+        byProduct.set(key, line);
+      });
+    });
+
+    const saleDays = [...byDay.keys()].filter(Boolean).sort();
+    const first = from || saleDays[0];
+    const last = to || saleDays[saleDays.length - 1];
+    const revenueByDay =
+      first && last
+        ? daysBetween(first, last).map((day) => ({
+            day,
+            revenue: byDay.get(day)?.revenue || 0,
+            orders: byDay.get(day)?.orders || 0,
+          }))
+        : [];
+
+    return {
+      revenue,
+      sales: sales.length,
+      averageOrderValue: sales.length ? revenue / sales.length : 0,
+      revenueByDay,
+      topProducts: [...byProduct.values()]
+        .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+        .slice(0, TOP_PRODUCTS),
+      statusCounts,
+    };
+  }
+
+  window.OrderAdminAPI = {
+    SALE_STATUSES,
+    dayKey,
+    filterOrders,
+    getSalesMetrics,
+  };
+})(window);
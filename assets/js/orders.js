@@ -0,0 +1,467 @@
+(function (window, document) {
+  "use strict";
+
+  const STORAGE_KEY = "orders";
+  const EVENT_NAME = "orders:updated"; // status changes, see setStatus
+  const TOKEN_KEY = "pendingOrderToken"; // sessionStorage, one per checkout
+
+  const STATUS_LABELS = {
+    pending: "Pending",
+    paid: "Paid",
+    shipped: "Shipped",
+    delivered: "Delivered",
+    cancelled: "Cancelled",
+    refunded: "Refunded",
+  };
+
+  /* Statuses an order can move to from each status; cancelled and
+     refunded are final. */
+  const STATUS_FLOW = {
+    pending: ["paid", "cancelled"],
+    paid: ["shipped", "cancelled", "refunded"],
+    shipped: ["delivered", "refunded"],
+    delivered: ["refunded"],
+    cancelled: [],
+    refunded: [],
+  };
+
+  const PAYMENT_LABELS = {
+    online: "Online Payment",
+    cash: "Cash on Delivery",
+  };
+
+  /* Order record shape (localStorage["orders"]), created by checkout.html:
+     {
+       id, token, date (ISO), status, userEmail,
+       items: CartItem[],
+       subtotal, discount, coupon, shipping, shippingMethod,
+       tax, taxRate, region, total,          // see PricingAPI.getBreakdown
+       checkout: { name, phone, email, address, shippingAddress, payment, ... },
+       payment: { provider, transactionId, last4, amount, status } | null,
+       statusHistory: [{ status, at (ISO) }],  // see setStatus
+       stockDeducted: boolean                  // paid units left the stock
+     }
+     Records saved before the breakdown existed only carry items and total;
+     records from before the status workflow have no history. */
+  function getOrders() {
+    try {
+      const orders = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(orders) ? orders : [];
+    } catch (e) {
+      console.error("Orders read error", e);
+      return [];
+    }
+  }
+
+  function saveOrders(orders) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    } catch (e) {
+      console.error("Orders save error", e);
+    }
+  }
+
+  function addOrder(order) {
+    const orders = getOrders();
+    orders.push(order);
+    saveOrders(orders);
+    return order;
+  }
+
+  /* Idempotency token for the order being placed in this tab. A token that
+     already produced an order is replaced, so each checkout gets a new one. */
+  function getPendingToken() {
+    let token = sessionStorage.getItem(TOKEN_KEY);
+    if (!token || getOrders().some((o) => o.token === token)) {
+      token = `tok-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      sessionStorage.setItem(TOKEN_KEY, token);
+    }
+    return token;
+  }
+
+  function clearPendingToken() {
+    sessionStorage.removeItem(TOKEN_KEY);
+  }
+
+  /* Create the order for a checkout from a CartAPI.quoteCart() quote.
+     Calling it again with the same token (double click, resubmitted payment)
+     returns the order created the first time instead of a duplicate. */
+  function createOrder({
+    token,
+    quote,
+    checkout,
+    userEmail = null,
+    status = "pending",
+    payment = null, // online payments: the captured PaymentsAPI result
+  }) {
+    const existing = token && getOrders().find((o) => o.token === token);
+    if (existing) return existing;
+
+    const now = new Date();
+    const order = {
+      id: "ORD-" + now.getTime(),
+      token: token || null,
+      date: now.toISOString(),
+      status,
+      userEmail: userEmail || checkout?.email || null,
+      items: quote.items,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      coupon: quote.coupon?.valid
+        ? { code: quote.coupon.code, discount: quote.discount }
+        : null,
+      shipping: quote.shipping,
+      shippingMethod: quote.shippingMethod,
+      tax: quote.tax,
+      taxRate: quote.taxRate,
+      region: quote.region,
+      total: quote.total,
+      checkout: checkout || null,
+      payment,
+      statusHistory: [{ status, at: now.toISOString() }],
+      stockDeducted: false,
+    };
+    if (status === "paid") deductStock(order);
+    return addOrder(order);
+  }
+
+  function getOrder(id) {
+    return getOrders().find((o) => String(o.id) === String(id)) || null;
+  }
+
+  // newest first; older records are matched by the email given at checkout
+  function getOrdersForUser(email) {
+    const wanted = String(email || "").toLowerCase();
+    if (!wanted) return [];
+    return getOrders()
+      .filter(
+        (o) =>
+          String(o.userEmail || o.checkout?.email || "").toLowerCase() ===
+          wanted,
+      )
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  function getStatus(order) {
+    return STATUS_LABELS[order?.status] ? order.status : "pending";
+  }
+
+  function statusLabel(order) {
+    return STATUS_LABELS[getStatus(order)];
+  }
+
+  // statuses the order can move to next
+  function getNextStatuses(order) {
+    return STATUS_FLOW[getStatus(order)];
+  }
+
+  // [{ status, at }], oldest first; older records start at their order date
+  function getStatusHistory(order) {
+    return Array.isArray(order?.statusHistory) && order.statusHistory.length
+      ? order.statusHistory
+      : [{ status: getStatus(order), at: order?.date }];
+  }
+
+  /* Paid units leave the catalog stock once per order (CatalogAPI keeps
+     the adjustment); cancelling or refunding the order puts them back. */
+  function deductStock(order) {
+    if (order.stockDeducted || !window.CatalogAPI) return;
+    (order.items || []).forEach((item) =>
+      window.CatalogAPI.adjustStock(item.id, -(item.quantity ?? 1)),
+    );
+    order.stockDeducted = true;
+  }
+
+  function restoreStock(order) {
+    if (!order.stockDeducted || !window.CatalogAPI) return;
+    (order.items || []).forEach((item) =>
+      window.CatalogAPI.adjustStock(item.id, item.quantity ?? 1),
+    );
+    order.stockDeducted = false;
+  }
+
+  // why `order` cannot move to `status`, or "" when it can
+  function transitionError(order, status) {
+    if (!order) return "Order not found.";
+    if (!STATUS_LABELS[status]) return `Unknown status "${status}".`;
+    const current = getStatus(order);
+    return STATUS_FLOW[current].includes(status)
+      ? ""
+      : `A ${STATUS_LABELS[current].toLowerCase()} order cannot be marked ${STATUS_LABELS[status].toLowerCase()}.`;
+  }
+
+  // statuses that give the customer's money back
+  const REFUND_STATUSES = ["cancelled", "refunded"];
+
+  // an online payment the gateway still holds money for
+  const needsGatewayRefund = (order) =>
+    Boolean(order?.payment?.transactionId) &&
+    order.payment.status !== "refunded";
+
+  /* Move an order along STATUS_FLOW, recording when it happened.
+     Orders paid online are cancelled or refunded with refundOrder()
+     instead, so the money goes back before the status changes.
+     Returns { ok: true, order } or { ok: false, error }. */
+  function setStatus(id, status) {
+    const order = getOrder(id);
+    if (REFUND_STATUSES.includes(status) && needsGatewayRefund(order))
+      return {
+        ok: false,
+        error: `Orders paid online are ${STATUS_LABELS[status].toLowerCase()} through the payment provider.`,
+      };
+    return applyStatus(id, status);
+  }
+
+  function applyStatus(id, status, changes = {}) {
+    const orders = getOrders();
+    const order = orders.find((o) => String(o.id) === String(id));
+    const error = transitionError(order, status);
+    if (error) return { ok: false, error };
+
+    Object.assign(order, changes);
+    order.statusHistory = [
+      ...getStatusHistory(order),
+      { status, at: new Date().toISOString() },
+    ];
+    order.status = status;
+    if (status === "paid") deductStock(order);
+    if (status === "cancelled" || status === "refunded") restoreStock(order);
+    saveOrders(orders);
+    document.dispatchEvent(
+      new CustomEvent(EVENT_NAME, { detail: { id: order.id, status } }),
+    );
+    return { ok: true, order };
+  }
+
+  /* Mark an order refunded or cancelled (one of REFUND_STATUSES). An
+     online payment is refunded in full through its PaymentsAPI provider
+     first; the status only changes once the provider confirms. Resolves
+     with the same shape as setStatus. */
+  async function refundOrder(id, status = "refunded") {
+    if (!REFUND_STATUSES.includes(status))
+      return { ok: false, error: `"${status}" is not a refund status.` };
+    const order = getOrder(id);
+    const error = transitionError(order, status);
+    if (error) return { ok: false, error };
+    if (!needsGatewayRefund(order)) return applyStatus(id, status);
+    if (!window.PaymentsAPI)
+      return { ok: false, error: "Online payment is not available right now." };
+
+    const { payment } = order;
+    const result = await window.PaymentsAPI.refund(
+      payment.transactionId,
+      undefined,
+      payment.provider,
+    );
+    if (result.status !== "refunded")
+      return {
+        ok: false,
+        error: `The refund failed: ${window.PaymentsAPI.describeResult(result)}`,
+      };
+    return applyStatus(id, status, {
+      payment: { ...payment, status: result.status },
+    });
+  }
+
+  function paymentLabel(payment, details = null) {
+    const label = PAYMENT_LABELS[payment] || payment || "---";
+    return details?.last4 ? `${label} (card •••• ${details.last4})` : label;
+  }
+
+  function formatDate(iso) {
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return "---";
+    return date.toLocaleString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  function toCurrency(n) {
+    return typeof n === "number" ? n.toLocaleString() : n;
+  }
+
+  const { escapeHtml } = window.UtilsAPI;
+
+  // itemized rows for a record; old records only know their total
+  function breakdownRows(order) {
+    const breakdown = { ...order, subtotal: order.subtotal ?? order.total };
+    if (window.PricingAPI) return window.PricingAPI.getBreakdownRows(breakdown);
+    return [{ key: "subtotal", label: "Subtotal", amount: breakdown.subtotal }];
+  }
+
+  // same wording as the cart's totals (see renderBreakdown in cart.js)
+  function formatAmount(row) {
+    if (row.amount < 0) return `−${toCurrency(-row.amount)} $`;
+    if (row.key === "shipping" && row.amount === 0) return "Free";
+    return `${toCurrency(row.amount)} $`;
+  }
+
+  /* Fill the receipt layout shared by confirmation.html and the detail view
+     of orders.html (#orderId, #orderDate, #orderItems, #orderBreakdown,
+     #orderTotal, #shippingName, #shippingAddress, #shippingMethod,
+     #deliveryMethod, #paymentMethod). Missing elements are skipped. */
+  function renderOrder(order) {
+    const set = (id, text) => {
+      const node = document.getElementById(id);
+      if (node) node.textContent = text;
+    };
+
+    set("orderId", `Order Number: ${order.id}`);
+    set("orderDate", `Date: ${formatDate(order.date)}`);
+    set("orderStatus", `Status: ${statusLabel(order)}`);
+
+    const itemsEl = document.getElementById("orderItems");
+    if (itemsEl) {
+      const items = Array.isArray(order.items) ? order.items : [];
+      itemsEl.innerHTML = items.length
+        ? items
+            .map((item) => {
+              const qty = item.quantity ?? 1;
+              const price = item.price ?? 0;
+              const name = escapeHtml(item.name ?? `Product (${item.id})`);
+              const img = item.image
+                ? `<img src="${escapeHtml(item.image)}" alt="${name}">`
+                : "";
+              return `
+              <li class="order-item">
+                ${img}
+                <div>
+                  <div class="meta">${name}</div>
+                  <div class="meta">Quantity: ${toCurrency(qty)} — Unit Price: ${toCurrency(price)} $</div>
+                </div>
+                <div style="margin-inline-start:auto; font-weight:700">${toCurrency(price * qty)} $</div>
+              </li>`;
+            })
+            .join("")
+        : "<li>Shopping cart was empty or has been removed.</li>";
+    }
+
+    const breakdownEl = document.getElementById("orderBreakdown");
+    if (breakdownEl) {
+      breakdownEl.innerHTML = breakdownRows(order)
+        .map(
+          (row) =>
+            `<p class="meta">${escapeHtml(row.label)}: ${formatAmount(row)}</p>`,
+        )
+        .join("");
+    }
+    set("orderTotal", `Total: ${toCurrency(order.total)} $`);
+
+    const info = order.checkout || {};
+    set("shippingName", `Recipient: ${info.name ?? "---"}`);
+    set("shippingAddress", `Address: ${info.address ?? "---"}`);
+    set(
+      "shippingMethod",
+      `Phone: ${info.phone ?? "---"} — Email: ${info.email ?? "---"}`,
+    );
+    set(
+      "deliveryMethod",
+      order.shippingMethod
+        ? `Delivery: ${order.shippingMethod.label}${order.region ? ` — ${order.region.label}` : ""}`
+        : "",
+    );
+    set("paymentMethod", paymentLabel(info.payment, order.payment));
+  }
+
+  /* Put every line of a past order back in the cart at today's catalog
+     price (CatalogAPI.loadProducts() must have resolved). Returns
+     { added, limited, missing } arrays of item names. */
+  function reorder(order) {
+    const result = { added: [], limited: [], missing: [] };
+    (order.items || []).forEach((item) => {
+      const product = window.CatalogAPI?.findProduct(item.id);
+      if (!product) {
+        result.missing.push(item.name);
+        return;
+      }
+      const line = window.CartAPI.addToCart({
+        id: product.id,
+        name: product.name,
+        shortName: product.shortName,
+        image: product.images?.[0] || item.image,
+        price: window.CatalogAPI.getUnitPrice(product),
+        quantity: item.quantity,
+      });
+      if (!line || line.quantity === 0) result.missing.push(item.name);
+      else if (line.limited) result.limited.push(item.name);
+      else result.added.push(item.name);
+    });
+    return result;
+  }
+
+  // plain-text receipt, used for downloads
+  function receiptText(order) {
+    const info = order.checkout || {};
+    const lines = [
+      "NeoTechShop — Receipt",
+      "",
+      `Order Number: ${order.id}`,
+      `Date: ${formatDate(order.date)}`,
+      `Status: ${statusLabel(order)}`,
+      "",
+      "Items:",
+      ...(order.items || []).map(
+        (item) =>
+          `  ${item.name} × ${item.quantity} @ ${toCurrency(item.price)} $ = ${toCurrency(item.price * item.quantity)} $`,
+      ),
+      "",
+      ...breakdownRows(order).map(
+        (row) => `${row.label}: ${formatAmount(row)}`,
+      ),
+      `Total: ${toCurrency(order.total)} $`,
+      "",
+      `Recipient: ${info.name ?? "---"}`,
+      `Address: ${info.address ?? "---"}`,
+      `Phone: ${info.phone ?? "---"} — Email: ${info.email ?? "---"}`,
+    ];
+    if (order.shippingMethod)
+      lines.push(
+        `Delivery: ${order.shippingMethod.label}${order.region ? ` — ${order.region.label}` : ""}`,
+      );
+    lines.push(`Payment: ${paymentLabel(info.payment, order.payment)}`);
+    return lines.join("\n");
+  }
+
+  function downloadReceipt(order) {
+    const blob = new Blob([receiptText(order)], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `receipt-${order.id}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  window.OrdersAPI = {
+    EVENT_NAME,
+    STATUS_LABELS,
+    STATUS_FLOW,
+    REFUND_STATUSES,
+    getOrders,
+    saveOrders,
+    addOrder,
+    getOrder,
+    getPendingToken,
+    clearPendingToken,
+    createOrder,
+    getOrdersForUser,
+    getStatus,
+    statusLabel,
+    getNextStatuses,
+    getStatusHistory,
+    setStatus,
+    refundOrder,
+    paymentLabel,
+    formatDate,
+    renderOrder,
+    reorder,
+    receiptText,
+    downloadReceipt,
+  };
+})(window, document);
@@ -0,0 +1,43 @@
+(function (window) {
+  "use strict";
+
+  /* Local stand-in for a mail service: every message the site "sends" is
+     kept in localStorage and listed on outbox.html, so sign-up and password
+     reset links can be followed without a real inbox. */
+  const STORAGE_KEY = "outbox";
+  const MAX_MESSAGES = 50;
+
+  function getMessages() {
+    try {
+      const messages = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(messages) ? messages : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // message: { to, subject, body, link? }; newest messages come first
+  function send(message) {
+    const entry = {
+      id: `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      to: message.to,
+      subject: message.subject,
+      body: message.body,
+      link: message.link || null,
+      sentAt: new Date().toISOString(),
+    };
+    const messages = [entry, ...getMessages()].slice(0, MAX_MESSAGES);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(messages));
+    } catch (e) {
+      console.error("Outbox save error", e);
+    }
+    return entry;
+  }
+
+  function clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  window.OutboxAPI = { getMessages, send, clear };
+})(window);
@@ -0,0 +1,115 @@
+(function (window) {
+  "use strict";
+
+  /* A payment provider is a plain object registered with registerProvider():
+     {
+       id, label,
+       authorize({ amount, currency, card, idempotencyKey }) → Promise<Result>
+       confirmChallenge(transactionId, code)                 → Promise<Result>
+       capture(transactionId)                                → Promise<Result>
+       refund(transactionId, amount?)                        → Promise<Result>
+     }
+     Result: { status, transactionId?, amount?, last4?, code?, challenge? }
+       status: "authorized" | "requires_action" | "captured" | "refunded"
+             | "declined" | "error"
+       code:   why a payment was declined or failed (see MESSAGES)
+     Providers resolve with a Result instead of throwing; anything they throw
+     or a call that takes longer than timeoutMs becomes status "error". */
+  const providers = new Map();
+  let defaultProviderId = null;
+  const options = { timeoutMs: 10000 };
+
+  const MESSAGES = {
+    insufficient_funds: "Your card has insufficient funds.",
+    card_declined: "Your card was declined.",
+    invalid_card: "The card number is not valid.",
+    challenge_failed: "The verification code was incorrect.",
+    challenge_cancelled: "Card verification was cancelled.",
+    invalid_state: "This payment cannot be completed. Please try again.",
+    timeout:
+      "The payment service did not respond. You have not been charged; please try again.",
+    no_provider: "Online payment is not available right now.",
+    provider_error: "The payment could not be processed. Please try again.",
+  };
+
+  const METHODS = ["authorize", "confirmChallenge", "capture", "refund"];
+
+  function registerProvider(provider, { isDefault = false } = {}) {
+    if (!provider?.id || METHODS.some((m) => typeof provider[m] !== "function"))
+      throw new TypeError(
+        `Payment providers need an id and ${METHODS.join(", ")}`,
+      );
+    providers.set(provider.id, provider);
+    if (isDefault || !defaultProviderId) defaultProviderId = provider.id;
+  }
+
+  function getProvider(id = defaultProviderId) {
+    return providers.get(id) || null;
+  }
+
+  function configure(next = {}) {
+    Object.assign(options, next);
+  }
+
+  function failure(code) {
+    return { status: "error", code };
+  }
+
+  function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(failure("timeout")), options.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function call(providerId, method, ...args) {
+    const provider = getProvider(providerId || undefined);
+    if (!provider) return Promise.resolve(failure("no_provider"));
+    const pending = Promise.resolve()
+      .then(() => provider[method](...args))
+      .catch((err) => {
+        console.error(`Payment provider ${provider.id} ${method} error:`, err);
+        return failure("provider_error");
+      });
+    return withTimeout(pending);
+  }
+
+  const authorize = (request, providerId) =>
+    call(providerId, "authorize", request);
+  const confirmChallenge = (transactionId, code, providerId) =>
+    call(providerId, "confirmChallenge", transactionId, code);
+  const capture = (transactionId, providerId) =>
+    call(providerId, "capture", transactionId);
+  const refund = (transactionId, amount, providerId) =>
+    call(providerId, "refund", transactionId, amount);
+
+  // digits only, 13–19 long, passing the Luhn checksum
+  function isValidCardNumber(number) {
+    const digits = String(number || "").replace(/\s/g, "");
+    if (!/^\d{13,19}$/.test(digits)) return false;
+    const sum = [...digits].reverse().reduce((s, n, i) => {
+      n = +n;
+      if (i % 2) n = n * 2 > 9 ? n * 2 - 9 : n * 2;
+      return s + n;
+    }, 0);
+    return sum % 10 === 0;
+  }
+
+  // customer-facing text for a declined or failed Result
+  function describeResult(result) {
+    return MESSAGES[result?.code] || MESSAGES.provider_error;
+  }
+
+  window.PaymentsAPI = {
+    registerProvider,
+    getProvider,
+    configure,
+    authorize,
+    confirmChallenge,
+    capture,
+    refund,
+    isValidCardNumber,
+    describeResult,
+  };
+})(window);
@@ -0,0 +1,189 @@
+(function (window) {
+  "use strict";
+
+  const DATA_URL = "assets/data/pricing.json";
+  const OPTIONS_KEY = "pricingOptions"; // { region, shippingMethod } chosen at checkout
+
+  let config = null;
+  let pending = null;
+
+  /* Config shape (assets/data/pricing.json):
+     {
+       defaultRegion, defaultShippingMethod,
+       shippingMethods: [{ id, name, label, price, freeOver?, freeRegions? }],
+       regions: [{ id, label, taxRate, country?, names? }]
+     }
+     taxRate is in percent. A region applies to addresses in `country`
+     whose province / state is one of `names`; one without names covers
+     the rest of its country, and one without a country every other
+     country (see getRegionFor). */
+  function loadPricing() {
+    if (!pending) {
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          config = data && typeof data === "object" ? data : null;
+          return config;
+        })
+        .catch((err) => {
+          console.error("Error loading pricing.json:", err);
+          config = null;
+          return config;
+        });
+    }
+    return pending;
+  }
+
+  function getShippingMethods() {
+    return config?.shippingMethods || [];
+  }
+
+  function getRegions() {
+    return config?.regions || [];
+  }
+
+  function findById(list, id) {
+    return list.find((entry) => entry.id === id) || null;
+  }
+
+  const sameName = (a, b) =>
+    String(a ?? "")
+      .trim()
+      .toLowerCase() ===
+    String(b ?? "")
+      .trim()
+      .toLowerCase();
+
+  /* Pricing region id for an address ({ country, region } as in
+     AddressAPI), or null before the config loaded. */
+  function getRegionFor({ country, region } = {}) {
+    const regions = getRegions();
+    const inCountry = regions.filter((r) => r.country && r.country === country);
+    const match =
+      inCountry.find((r) => (r.names || []).some((n) => sameName(n, region))) ||
+      inCountry.find((r) => !r.names?.length) ||
+      regions.find((r) => !r.country);
+    return match?.id ?? null;
+  }
+
+  // saved choice, falling back to the configured defaults
+  function getOptions() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(OPTIONS_KEY)) || {};
+    } catch {
+      saved = {};
+    }
+    const region =
+      findById(getRegions(), saved.region)?.id ?? config?.defaultRegion ?? null;
+    const shippingMethod =
+      findById(getShippingMethods(), saved.shippingMethod)?.id ??
+      config?.defaultShippingMethod ??
+      null;
+    return { region, shippingMethod };
+  }
+
+  function setOptions(options = {}) {
+    const next = { ...getOptions(), ...options };
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(next));
+    window.CartAPI?.refresh();
+    return next;
+  }
+
+  // shipping for an order of `amount` $ (after discounts) to `region`
+  function shippingCost(method, region, amount) {
+    if (!method || amount <= 0) return 0;
+    if (method.freeRegions?.includes(region?.id)) return 0;
+    if (method.freeOver !== null && method.freeOver !== undefined) {
+      if (amount >= method.freeOver) return 0;
+    }
+    return Math.max(0, Math.round(Number(method.price) || 0));
+  }
+
+  /* Shipping note for a product card: what one unit costing `amount` $
+     ships for with the chosen (or default) method and region. */
+  function getShippingLabel(amount, options = getOptions()) {
+    const method = findById(getShippingMethods(), options.shippingMethod);
+    if (!method) return "";
+    const region = findById(getRegions(), options.region);
+    const cost = shippingCost(method, region, amount);
+    return cost ? `Shipping ${cost} $` : "Free shipping";
+  }
+
+  /* The one order-total calculation, shared by the cart modal, cart page,
+     checkout and confirmation (through CartAPI.getCartState / quoteCart):
+     {
+       subtotal,                      // sum of line prices (promotions applied)
+       coupon, discount,              // see CouponAPI.evaluate
+       shipping, shippingMethod,      // { id, name, label } or null
+       tax, taxRate, region,          // tax on (subtotal - discount); region { id, label }
+       total
+     }
+     All amounts are whole $. Shipping and tax stay 0 until the config loaded. */
+  function getBreakdown(items, options = getOptions()) {
+    const subtotal = items.reduce((s, it) => s + it.price * it.quantity, 0);
+    const coupon = window.CouponAPI ? window.CouponAPI.evaluate(items) : null;
+    const discount = coupon?.valid ? coupon.discount : 0;
+    const taxable = subtotal - discount;
+
+    const method = findById(getShippingMethods(), options.shippingMethod);
+    const region = findById(getRegions(), options.region);
+    const shipping = shippingCost(method, region, taxable);
+    const taxRate = Number(region?.taxRate) || 0;
+    const tax = Math.round((taxable * taxRate) / 100);
+
+    return {
+      subtotal,
+      coupon,
+      discount,
+      shipping,
+      shippingMethod: method
+        ? { id: method.id, name: method.name, label: method.label }
+        : null,
+      tax,
+      taxRate,
+      region: region ? { id: region.id, label: region.label } : null,
+      total: taxable + shipping + tax,
+    };
+  }
+
+  /* Rows for an itemized totals view: [{ key, label, amount }]. amount is
+     negative for discounts; the grand total is not included. */
+  function getBreakdownRows(breakdown) {
+    const rows = [
+      { key: "subtotal", label: "Subtotal", amount: breakdown.subtotal },
+    ];
+    if (breakdown.discount > 0)
+      rows.push({
+        key: "discount",
+        label: `Discount (${breakdown.coupon.code})`,
+        amount: -breakdown.discount,
+      });
+    if (breakdown.shippingMethod)
+      rows.push({
+        key: "shipping",
+        label: `Shipping (${breakdown.shippingMethod.name})`,
+        amount: breakdown.shipping,
+      });
+    if (breakdown.region)
+      rows.push({
+        key: "tax",
+        label: `Tax (${breakdown.region.label}, ${breakdown.taxRate}%)`,
+        amount: breakdown.tax,
+      });
+    return rows;
+  }
+
+  window.PricingAPI = {
+    OPTIONS_KEY,
+    loadPricing,
+    getShippingMethods,
+    getRegions,
+    getRegionFor,
+    getOptions,
+    setOptions,
+    getShippingLabel,
+    getBreakdown,
+    getBreakdownRows,
+  };
+})(window);
@@ -0,0 +1,142 @@
+(function (window) {
+  "use strict";
+
+  const DATA_URL = "assets/data/promotions.json";
+  const HOUR_MS = 60 * 60 * 1000;
+
+  let promotions = [];
+  let pending = null;
+
+  /* Promotion shape (assets/data/promotions.json):
+     {
+       id, label,
+       type: "percentage" | "fixed",   // value is percent, or $ off per unit
+       value: number,
+       appliesTo: { productIds?: number[], categories?: string[], specialOffer?: true },
+       useOfferHours?: boolean,        // products' offerHours become a repeating countdown window
+       startsAt?: ISO string | null,
+       endsAt?: ISO string | null
+     } */
+  function isValidPromotion(promo) {
+    return (
+      promo &&
+      (promo.type === "percentage" || promo.type === "fixed") &&
+      Number(promo.value) > 0 &&
+      promo.appliesTo &&
+      typeof promo.appliesTo === "object"
+    );
+  }
+
+  function loadPromotions() {
+    if (!pending) {
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          promotions = (Array.isArray(data) ? data : []).filter(
+            isValidPromotion,
+          );
+          return promotions;
+        })
+        .catch((err) => {
+          console.error("Error loading promotions.json:", err);
+          promotions = [];
+          return promotions;
+        });
+    }
+    return pending;
+  }
+
+  function getPromotions() {
+    return promotions;
+  }
+
+  function toTime(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const t = new Date(value).getTime();
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function appliesTo(promo, product) {
+    const target = promo.appliesTo;
+    if (target.productIds?.some((id) => String(id) === String(product.id)))
+      return true;
+    if (target.categories?.includes(product.category)) return true;
+    return target.specialOffer === true && product.specialOffer === true;
+  }
+
+  /* End of the promotion for this product, or null when it has none.
+     offerHours (12/24/48 in products.json) repeats from the promotion's
+     start (or the epoch): the deal always ends at the next window boundary. */
+  function getEndTime(promo, product, now) {
+    const endsAt = toTime(promo.endsAt);
+    const hours = Number(product.offerHours);
+    if (!promo.useOfferHours || !(hours > 0)) return endsAt;
+
+    const windowMs = hours * HOUR_MS;
+    const start = toTime(promo.startsAt) ?? 0;
+    const windowEnd =
+      start + (Math.floor((now - start) / windowMs) + 1) * windowMs;
+    return endsAt === null ? windowEnd : Math.min(windowEnd, endsAt);
+  }
+
+  function isActive(promo, now) {
+    const start = toTime(promo.startsAt);
+    const end = toTime(promo.endsAt);
+    return (start === null || now >= start) && (end === null || now < end);
+  }
+
+  function discountedPrice(promo, listPrice) {
+    const value = Number(promo.value);
+    const price =
+      promo.type === "percentage"
+        ? Math.round((listPrice * (100 - Math.min(value, 100))) / 100)
+        : Math.round(listPrice - value);
+    return Math.max(0, price);
+  }
+
+  function promotionLabel(promo) {
+    return promo.type === "percentage"
+      ? `${promo.value}% OFF`
+      : `${Number(promo.value).toLocaleString()} $ OFF`;
+  }
+
+  /* The single pricing entry point for every page (cards, product page,
+     cart and checkout re-validation). Promotions do not stack: the one
+     giving the lowest price wins.
+     Returns { listPrice, price, savings, promotion, label, endsAt } where
+     endsAt is a Date (countdown target) or null. */
+  function getEffectivePrice(product, now = new Date()) {
+    const time = now instanceof Date ? now.getTime() : Number(now);
+    const listPrice = Math.round(Number(product?.price) || 0);
+    const result = {
+      listPrice,
+      price: listPrice,
+      savings: 0,
+      promotion: null,
+      label: "",
+      endsAt: null,
+    };
+    if (!product) return result;
+
+    promotions.forEach((promo) => {
+      if (!isActive(promo, time) || !appliesTo(promo, product)) return;
+      const price = discountedPrice(promo, listPrice);
+      if (price >= result.price) return;
+      const end = getEndTime(promo, product, time);
+      Object.assign(result, {
+        price,
+        savings: listPrice - price,
+        promotion: promo,
+        label: promotionLabel(promo),
+        endsAt: end === null ? null : new Date(end),
+      });
+    });
+    return result;
+  }
+
+  window.PromotionsAPI = {
+    loadPromotions,
+    getPromotions,
+    getEffectivePrice,
+  };
+})(window);
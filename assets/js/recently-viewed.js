@@ -0,0 +1,76 @@
+(function (window, document) {
+  "use strict";
+
+  /* Products the visitor opened, newest first. localStorage
+     "recentlyViewed": [id]
+     Opening a product again moves it to the front instead of adding it
+     twice; only the last MAX_ITEMS are kept. Changes fire
+     "recentlyViewed:updated" on document with { ids }. */
+  const STORAGE_KEY = "recentlyViewed";
+  const EVENT_NAME = "recentlyViewed:updated";
+  const MAX_ITEMS = 8;
+
+  function getIds() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(ids) ? ids : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function write(ids) {
+    try {
+      if (ids.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error("Recently viewed save error", e);
+    }
+    document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: { ids } }));
+  }
+
+  function add(id) {
+    if (id === null || id === undefined) return;
+    write(
+      [id, ...getIds().filter((x) => String(x) !== String(id))].slice(
+        0,
+        MAX_ITEMS,
+      ),
+    );
+  }
+
+  function remove(id) {
+    write(getIds().filter((x) => String(x) !== String(id)));
+  }
+
+  function clear() {
+    write([]);
+  }
+
+  /* Catalog products in viewing order, skipping ids no longer in the
+     catalog and, on a product page, the product being shown. */
+  function getProducts(excludeId = null) {
+    return getIds()
+      .filter((id) => String(id) !== String(excludeId))
+      .map((id) => window.CatalogAPI.findProduct(id))
+      .filter(Boolean);
+  }
+
+  // another tab opened a product
+  window.addEventListener("storage", (e) => {
+    if (e.key === null || e.key === STORAGE_KEY)
+      document.dispatchEvent(
+        new CustomEvent(EVENT_NAME, { detail: { ids: getIds() } }),
+      );
+  });
+
+  window.RecentlyViewedAPI = {
+    EVENT_NAME,
+    MAX_ITEMS,
+    getIds,
+    add,
+    remove,
+    clear,
+    getProducts,
+  };
+})(window, document);
@@ -0,0 +1,124 @@
+(function (window) {
+  "use strict";
+
+  /* "Customers also bought" for the product page.
+
+     Every other product is scored against the one being viewed:
+       bought together  4 per order holding both (up to 3 orders)
+       same category    3
+       same brand       2
+       similar price    1 (within PRICE_BAND of its price)
+     Products below MIN_SCORE are not suggested. When that leaves fewer than
+     `limit`, the hand-picked relatedProducts from products.json fill the
+     rest, so a sparse category or an empty order history still shows
+     something. */
+  const WEIGHTS = {
+    boughtTogether: 4,
+    category: 3,
+    brand: 2,
+    price: 1,
+  };
+  const MAX_ORDERS_COUNTED = 3;
+  const PRICE_BAND = 0.3;
+  const MIN_SCORE = 4;
+  // orders in these states never reached the customer
+  const VOID_STATUSES = ["cancelled", "refunded"];
+
+  const sameId = (a, b) => String(a) === String(b);
+
+  /* { [productId]: number of orders that also hold `product` } */
+  function coPurchaseCounts(product, orders) {
+    const counts = {};
+    orders
+      .filter((o) => !VOID_STATUSES.includes(o.status))
+      .forEach((order) => {
+        const ids = [
+          ...new Set((order.items || []).map((item) => String(item.id))),
+        ];
+        if (!ids.includes(String(product.id))) return;
+        ids.forEach((id) => {
+          if (!sameId(id, product.id)) counts[id] = (counts[id] || 0) + 1;
+        });
+      });
+    return counts;
+  }
+
+  function scoreProduct(product, candidate, boughtTogether) {
+    const reasons = [];
+    let score = 0;
+    if (boughtTogether) {
+      score +=
+        WEIGHTS.boughtTogether * Math.min(boughtTogether, MAX_ORDERS_COUNTED);
+      reasons.push("boughtTogether");
+    }
+    if (candidate.category === product.category) {
+      score += WEIGHTS.category;
+      reasons.push("category");
+    }
+    if (
+      candidate.brand &&
+      String(candidate.brand).toLowerCase() ===
+        String(product.brand || "").toLowerCase()
+    ) {
+      score += WEIGHTS.brand;
+      reasons.push("brand");
+    }
+    const price = window.CatalogAPI.getUnitPrice(product);
+    if (
+      price > 0 &&
+      Math.abs(window.CatalogAPI.getUnitPrice(candidate) - price) <=
+        price * PRICE_BAND
+    ) {
+      score += WEIGHTS.price;
+      reasons.push("price");
+    }
+    return { score, reasons };
+  }
+
+  /* Best first: [{ product, score, reasons }], where reasons lists the
+     signals that matched ("boughtTogether", "category", "brand", "price")
+     or is ["related"] for a relatedProducts fallback. */
+  function getRecommendations(
+    product,
+    {
+      limit = 4,
+      products = window.CatalogAPI.getProducts(),
+      orders = window.OrdersAPI ? window.OrdersAPI.getOrders() : [],
+    } = {},
+  ) {
+    if (!product) return [];
+    const related = (product.relatedProducts || []).map(String);
+    const together = coPurchaseCounts(product, orders);
+    const rating = (p) => window.CatalogAPI.getRating(p).average;
+
+    const scored = products
+      .filter((p) => !sameId(p.id, product.id))
+      .map((p) => ({
+        product: p,
+        ...scoreProduct(product, p, together[String(p.id)] || 0),
+      }))
+      .filter((r) => r.score >= MIN_SCORE)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          // curated picks first, then the better rated
+          related.includes(String(b.product.id)) -
+            related.includes(String(a.product.id)) ||
+          rating(b.product) - rating(a.product),
+      )
+      .slice(0, limit);
+
+    const fallback = related
+      .filter((id) => !scored.some((r) => sameId(r.product.id, id)))
+      .map((id) => products.find((p) => sameId(p.id, id)))
+      .filter((p) => p && !sameId(p.id, product.id))
+      .map((p) => ({ product: p, score: 0, reasons: ["related"] }));
+
+    return [...scored, ...fallback].slice(0, limit);
+  }
+
+  window.RecommendationsAPI = {
+    WEIGHTS,
+    getRecommendations,
+  };
+})(window);
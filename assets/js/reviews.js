@@ -0,0 +1,214 @@
+(function (window, document) {
+  "use strict";
+
+  /* Customer reviews on top of the ones shipped in products.json.
+     localStorage "reviews":
+       { [productId]: [{ id, userId, user, rating, comment, date (ISO) }] }
+     localStorage "reviewVotes": { [reviewId]: [userId] }  // "helpful"
+     Only logged-in customers with an order containing the product can post
+     (one review each, posting again updates it), so every stored review is
+     a verified purchase. Changes fire "reviews:updated" on document with
+     { productId }. */
+  const STORAGE_KEY = "reviews";
+  const VOTES_KEY = "reviewVotes";
+  const EVENT_NAME = "reviews:updated";
+  const MAX_COMMENT = 1000;
+  // orders in these states never reached the customer
+  const VOID_STATUSES = ["cancelled", "refunded"];
+
+  function read(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function write(key, value, productId) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.error("Reviews save error", e);
+    }
+    document.dispatchEvent(
+      new CustomEvent(EVENT_NAME, { detail: { productId } }),
+    );
+  }
+
+  function currentUser() {
+    return window.AuthAPI?.getCurrentUser() || null;
+  }
+
+  function getUserReviews(productId) {
+    const list = read(STORAGE_KEY)[productId];
+    return Array.isArray(list) ? list : [];
+  }
+
+  /* Catalog and customer reviews for a product, each as
+     { id, user, rating, comment, date, verified, mine, helpful, votedByMe } */
+  function getReviews(product) {
+    if (!product) return [];
+    const user = currentUser();
+    const votes = read(VOTES_KEY);
+    const withVotes = (review) => {
+      const voters = votes[review.id] || [];
+      return {
+        ...review,
+        helpful: voters.length,
+        votedByMe: !!user && voters.includes(user.id),
+      };
+    };
+
+    const catalog = (product.reviews || []).map((r, i) => ({
+      id: `c-${product.id}-${i}`,
+      user: r.user,
+      rating: Number(r.rating) || 0,
+      comment: r.comment || "",
+      date: r.date,
+      verified: false,
+      mine: false,
+    }));
+    const customers = getUserReviews(product.id).map((r) => ({
+      id: r.id,
+      user: r.user,
+      rating: r.rating,
+      comment: r.comment,
+      date: r.date,
+      verified: true,
+      mine: !!user && r.userId === user.id,
+    }));
+    return [...customers, ...catalog].map(withVotes);
+  }
+
+  /* { average, count }: the catalog's figures plus every customer review.
+     Listings, search and the product page read it via CatalogAPI.getRating. */
+  function getAggregate(product) {
+    const base = product?.rating || {};
+    const baseCount = Math.max(0, parseInt(base.count, 10) || 0);
+    const own = product ? getUserReviews(product.id) : [];
+    const count = baseCount + own.length;
+    const sum =
+      (Number(base.average) || 0) * baseCount +
+      own.reduce((total, r) => total + r.rating, 0);
+    return {
+      average: count ? Math.round((sum / count) * 10) / 10 : 0,
+      count,
+    };
+  }
+
+  // { 5: n, 4: n, ... 1: n } over the given (written) reviews
+  function getDistribution(reviews) {
+    const counts = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    reviews.forEach((r) => {
+      const stars = Math.min(5, Math.max(1, Math.round(r.rating)));
+      counts[stars]++;
+    });
+    return counts;
+  }
+
+  function hasPurchased(productId, user = currentUser()) {
+    if (!user || !window.OrdersAPI) return false;
+    return window.OrdersAPI.getOrdersForUser(user.email).some(
+      (order) =>
+        !VOID_STATUSES.includes(window.OrdersAPI.getStatus(order)) &&
+        (order.items || []).some(
+          (item) => String(item.id) === String(productId),
+        ),
+    );
+  }
+
+  /* { ok: true, review? (the user's existing one) } or
+     { ok: false, code: "login" | "purchase", error } */
+  function canReview(productId) {
+    const user = currentUser();
+    if (!user)
+      return { ok: false, code: "login", error: "Log in to write a review." };
+    if (!hasPurchased(productId, user))
+      return {
+        ok: false,
+        code: "purchase",
+        error: "Only customers who bought this product can review it.",
+      };
+    const review = getUserReviews(productId).find((r) => r.userId === user.id);
+    return { ok: true, review: review || null };
+  }
+
+  // adds the user's review, or replaces their earlier one
+  function submitReview(productId, { rating, comment = "" } = {}) {
+    const allowed = canReview(productId);
+    if (!allowed.ok) return allowed;
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5)
+      return {
+        ok: false,
+        code: "rating",
+        error: "Please choose 1 to 5 stars.",
+      };
+    const text = String(comment).trim();
+    if (text.length > MAX_COMMENT)
+      return {
+        ok: false,
+        code: "comment",
+        error: `Reviews can be up to ${MAX_COMMENT} characters.`,
+      };
+
+    const user = currentUser();
+    const review = {
+      id:
+        allowed.review?.id ||
+        `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      userId: user.id,
+      user: user.username,
+      rating: stars,
+      comment: text,
+      date: new Date().toISOString(),
+    };
+    const all = read(STORAGE_KEY);
+    all[productId] = [
+      review,
+      ...getUserReviews(productId).filter((r) => r.id !== review.id),
+    ];
+    write(STORAGE_KEY, all, productId);
+    return { ok: true, review };
+  }
+
+  /* Marks a review helpful for the current user, or takes the vote back.
+     Returns { ok, voted } or { ok: false, error }. */
+  function toggleHelpful(productId, reviewId) {
+    const user = currentUser();
+    if (!user) return { ok: false, error: "Log in to vote on reviews." };
+    if (
+      getUserReviews(productId).some(
+        (r) => r.id === reviewId && r.userId === user.id,
+      )
+    )
+      return { ok: false, error: "You cannot vote on your own review." };
+    const votes = read(VOTES_KEY);
+    const voters = votes[reviewId] || [];
+    const voted = !voters.includes(user.id);
+    votes[reviewId] = voted
+      ? [...voters, user.id]
+      : voters.filter((id) => id !== user.id);
+    if (!votes[reviewId].length) delete votes[reviewId];
+    write(VOTES_KEY, votes, productId);
+    return { ok: true, voted };
+  }
+
+  // another tab posted or voted
+  window.addEventListener("storage", (e) => {
+    if (e.key === null || e.key === STORAGE_KEY || e.key === VOTES_KEY)
+      document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: {} }));
+  });
+
+  window.ReviewsAPI = {
+    EVENT_NAME,
+    MAX_COMMENT,
+    getReviews,
+    getAggregate,
+    getDistribution,
+    hasPurchased,
+    canReview,
+    submitReview,
+    toggleHelpful,
+  };
+})(window, document);
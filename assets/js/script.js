@@ -30,236 +30,272 @@ function debounce(fn, ms = 200) {
 }
 
 /* --------------------------
-   Products loader (cached)
+   Products loader (cached, shared with cart.js through CatalogAPI)
    -------------------------- */
 let productsCache = null;
 async function loadProducts() {
-  if (productsCache) return productsCache;
-  try {
-    const res = await fetch("assets/data/products.json");
-    const data = await res.json();
-    productsCache = data || [];
-    return productsCache;
-  } catch (err) {
-    console.error("Error loading products.json:", err);
-    productsCache = [];
-    return productsCache;
-  }
+  productsCache = await CatalogAPI.loadProducts();
+  return productsCache;
 }
 
 /* --------------------------
-   Cart: single source-of-truth functions
+   Category links (header menu, listing sidebar)
    -------------------------- */
-function getCart() {
-  try {
-    return JSON.parse(localStorage.getItem("cart")) || [];
-  } catch {
-    return [];
-  }
+function categoryUrl(category) {
+  return category
+    ? `products.html?category=${encodeURIComponent(category)}`
+    : "products.html";
 }
 
-/* ---------- Robust cart update (paste/replace saveCart + add these helpers) ---------- */
+// the header "Products" menu lists every category in the catalog
+function renderCategoryNav() {
+  const links = CatalogAPI.getCategories()
+    .map(
+      (c) => `<a href="${categoryUrl(c)}">${SpecsAPI.getCategoryLabel(c)}</a>`,
+    )
+    .join("");
+  if (links)
+    $$("[data-category-nav]").forEach((menu) => (menu.innerHTML = links));
+}
 
-/* helper: return cart count */
-function getCartCount() {
-  const cart = getCart();
-  return (cart || []).reduce((s, it) => s + safeParseInt(it.quantity, 0), 0);
+/* --------------------------
+   Stock helpers (cards, product page)
+   -------------------------- */
+const LOW_STOCK_THRESHOLD = 5;
+
+// units left after orders paid since products.json (see CatalogAPI.getStock)
+function getStockStatus(product) {
+  const stock = product ? CatalogAPI.getStock(product.id) : 0;
+  if (stock === 0) return { stock, inStock: false, label: "Out of stock" };
+  if (stock <= LOW_STOCK_THRESHOLD)
+    return { stock, inStock: true, label: `Only ${stock} left` };
+  return { stock, inStock: true, label: "" };
 }
 
-/* update any possible badge elements across different templates/selectors */
-function updateAnyBadgeElements(count) {
-  // list of likely selectors used in different templates/navbars
-  const selectors = [
-    "#cart-count", // original id
-    ".cart-count", // alternative class
-    "#cartBtn .badge", // badge inside cart button
-    "#cartBtn span", // sometimes a span
-    ".nav-cart-badge", // custom class
-    ".header-cart-badge", // another common name
-  ];
+function renderStockBadge(product) {
+  const { inStock, label } = getStockStatus(product);
+  if (!label) return "";
+  return `<span class="stock-badge ${
+    inStock ? "stock-badge--low" : "stock-badge--out"
+  }">${label}</span>`;
+}
 
-  selectors.forEach((sel) => {
-    const el = document.querySelector(sel);
-    if (!el) return;
-    // if element contains more content (icon + number), try to set text only
-    if (
-      el.tagName.toLowerCase() === "span" ||
-      el.tagName.toLowerCase() === "div" ||
-      el.tagName.toLowerCase() === "button"
-    ) {
-      el.textContent = String(count);
-    } else {
-      // fallback
-      el.textContent = String(count);
-    }
-  });
+// disabled add-to-cart markup for sold-out products
+function addToCartButton(product, className = "addToCart") {
+  return getStockStatus(product).inStock
+    ? `<button class="${className}" data-id="${product.id}">Add to Cart</button>`
+    : `<button class="${className}" data-id="${product.id}" disabled>Out of stock</button>`;
+}
 
-  // as a last attempt: if cart button has aria-label or data-count attribute, update it
-  const cartBtn = document.getElementById("cartBtn");
-  if (cartBtn) {
-    try {
-      cartBtn.setAttribute("data-count", String(count));
-      // optionally update aria label for accessibility
-      const aria = `Shopping cart, ${count} items`;
-      cartBtn.setAttribute("aria-label", aria);
-    } catch {}
-  }
+/* --------------------------
+   Wishlist helpers (cards, product page, search, wishlist views)
+   -------------------------- */
+// heart toggle: "corner" sits on a card, "inline" flows with text and
+// "labelled" adds a Save for later / Saved caption
+function wishlistButton(product, variant = "corner") {
+  const label =
+    variant === "labelled"
+      ? '<span class="wishlist-toggle__label"></span>'
+      : "";
+  const tpl = document.createElement("template");
+  tpl.innerHTML = `<button type="button" class="wishlist-toggle wishlist-toggle--${variant}" data-wishlist-id="${product.id}"><span class="wishlist-toggle__icon"></span>${label}</button>`;
+  paintWishlistButton(tpl.content.firstElementChild);
+  return tpl.innerHTML;
 }
 
-/* Replace old saveCart with this robust version */
-function saveCart(cart) {
-  try {
-    localStorage.setItem("cart", JSON.stringify(cart || []));
-  } catch (err) {
-    console.error("saveCart: localStorage set error", err);
-  }
+function paintWishlistButton(btn) {
+  const saved = WishlistAPI.has(btn.dataset.wishlistId);
+  const text = saved ? "Remove from wishlist" : "Save to wishlist";
+  btn.classList.toggle("is-saved", saved);
+  btn.setAttribute("aria-pressed", String(saved));
+  btn.setAttribute("aria-label", text);
+  btn.title = text;
+  btn.querySelector(".wishlist-toggle__icon").textContent = saved ? "♥" : "♡";
+  const label = btn.querySelector(".wishlist-toggle__label");
+  if (label) label.textContent = saved ? "Saved" : "Save for later";
+}
 
-  // compute count
-  const count = (cart || []).reduce(
-    (s, it) => s + safeParseInt(it.quantity, 0),
-    0,
-  );
+function renderWishlistBadge(count = WishlistAPI.getCount()) {
+  const countEl = document.getElementById("wishlistCount");
+  if (countEl) countEl.textContent = String(count);
+  const link = document.getElementById("wishlistNav");
+  if (link) link.setAttribute("aria-label", `Wishlist, ${count} items`);
+}
 
-  // update internal UI immediately (modal/items/etc.)
-  updateCartUI(); // keeps modal list and totals in sync
-  // update badges explicitly (covers multiple selectors/templates)
-  updateAnyBadgeElements(count);
+/* Heart toggles anywhere on the page (delegated), the header badge, and
+   keeping every heart in step when the list changes (also in other tabs) */
+function initWishlist() {
+  renderWishlistBadge();
 
-  // dispatch a custom event so any other script can react
-  try {
-    document.dispatchEvent(
-      new CustomEvent("cart:updated", { detail: { count } }),
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest(".wishlist-toggle");
+    if (!btn) return;
+    // hearts can sit inside cards that are links
+    e.preventDefault();
+    const saved = WishlistAPI.toggle(btn.dataset.wishlistId);
+    showToast(
+      saved ? "Saved to your wishlist." : "Removed from your wishlist.",
     );
-  } catch (err) {
-    // older browsers fallback
-    const ev = document.createEvent("CustomEvent");
-    ev.initCustomEvent("cart:updated", true, true, { count });
-    document.dispatchEvent(ev);
-  }
-
-  // write a timestamp (useful for other tabs / debugging)
-  try {
-    localStorage.setItem("cartLastUpdated", String(Date.now()));
-  } catch {}
-}
-
-/* Listeners to ensure badges update even if nav/badge renders AFTER initial load */
-function initCartUpdateListeners() {
-  // 1) Listen to the custom event
-  document.addEventListener("cart:updated", (e) => {
-    const count = e?.detail?.count ?? getCartCount();
-    updateAnyBadgeElements(count);
   });
 
-  // 2) If some part of the header/nav is injected after load, observe DOM and patch when badge appears
-  const bodyObserver = new MutationObserver((mutations, obs) => {
-    const found =
-      document.querySelector("#cart-count") ||
-      document.querySelector(".cart-count") ||
-      document.querySelector("#cartBtn .badge") ||
-      document.querySelector(".nav-cart-badge");
-    if (found) {
-      updateAnyBadgeElements(getCartCount());
-      obs.disconnect(); // stop observing once we succeeded
-    }
+  document.addEventListener(WishlistAPI.EVENT_NAME, (e) => {
+    renderWishlistBadge(e.detail.count);
+    $$("[data-wishlist-id]").forEach(paintWishlistButton);
   });
+}
 
-  // Start observing - lightweight and will early-exit when it finds one of selectors
-  try {
-    bodyObserver.observe(document.body, { childList: true, subtree: true });
-  } catch (err) {
-    // in case document.body not ready (very rare), schedule small timeout
-    setTimeout(() => {
-      try {
-        bodyObserver.observe(document.body, { childList: true, subtree: true });
-      } catch {}
-    }, 200);
-  }
+/* Wishlist items with "Move to cart" / "Remove", used by wishlist.html and
+   the "Saved for later" list on cart-page.html. Re-renders on changes. */
+async function mountWishlistView(containerId, emptyText) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  await loadProducts();
+
+  const render = () => {
+    const products = WishlistAPI.getProducts();
+    if (!products.length) {
+      container.innerHTML = `<p class="wishlist-empty">${
+        emptyText || "Your wishlist is empty."
+      }</p>`;
+      return;
+    }
+    container.innerHTML = products
+      .map(
+        (p) => `
+        <div class="wishlist-item" data-id="${p.id}">
+          <a href="product.html?id=${p.id}">
+            <img src="${p.images[0]}" alt="${p.name}" />
+          </a>
+          <div class="wishlist-item__details">
+            <a href="product.html?id=${p.id}">${p.shortName}</a>
+            <p class="wishlist-item__price">${numberToLocaleString(
+              CatalogAPI.getUnitPrice(p),
+            )} $</p>
+            ${renderStockBadge(p)}
+          </div>
+          <div class="wishlist-item__actions">
+            <button class="btn wishlist-move" data-id="${p.id}"${
+              getStockStatus(p).inStock ? "" : " disabled"
+            }>Move to cart</button>
+            <button class="wishlist-remove" data-id="${
+              p.id
+            }" aria-label="Remove from wishlist">🗑️</button>
+          </div>
+        </div>`,
+      )
+      .join("");
+  };
 
-  // 3) Ensure update on window.load (if some templates load late)
-  window.addEventListener("load", () => {
-    updateAnyBadgeElements(getCartCount());
-  });
+  container.onclick = (e) => {
+    const btn = e.target.closest("button[data-id]");
+    if (!btn) return;
+    if (btn.matches(".wishlist-remove")) {
+      WishlistAPI.remove(btn.dataset.id);
+      showToast("Removed from your wishlist.");
+    } else if (btn.matches(".wishlist-move")) {
+      // stock limits are reported through the "cart:limit" toast
+      const result = WishlistAPI.moveToCart(btn.dataset.id);
+      if (result && !result.limited) showToast("Moved to your cart.");
+    }
+  };
 
-  // 4) Optional: also run once immediately (in case badge is already present)
-  updateAnyBadgeElements(getCartCount());
+  render();
+  document.addEventListener(WishlistAPI.EVENT_NAME, render);
 }
 
-/* Make sure you call initCartUpdateListeners() in your DOMContentLoaded / init sequence:
-   e.g. inside document.addEventListener("DOMContentLoaded", ...) { initCartUpdateListeners(); }
-*/
-
-function addToCart(product) {
-  // product: { id (number), name (string), price  (number), image (string), quantity (number) }
-  if (!product || !product.id) return;
-  const cart = getCart();
-  const existing = cart.find((it) => it.id === product.id);
-  if (existing) {
-    existing.quantity =
-      safeParseInt(existing.quantity, 0) + safeParseInt(product.quantity, 1);
-  } else {
-    cart.push({
-      id: product.id,
-      name: product.name || "Product",
-      price: safeParseInt(product.price, 0),
-      image: product.image || "",
-      quantity: safeParseInt(product.quantity, 1),
-    });
-  }
-  saveCart(cart);
+/* --------------------------
+   Compare helpers (listing cards, product page, compare tray)
+   -------------------------- */
+function compareCheckbox(product) {
+  const checked = CompareAPI.has(product.id) ? " checked" : "";
+  return `<label class="compare-toggle"><input type="checkbox" data-compare-id="${product.id}"${checked} /> Compare</label>`;
 }
 
-/* Update cart counters and modal contents */
-function updateCartUI() {
-  const cart = getCart();
-  const totalCount = cart.reduce(
-    (s, it) => s + safeParseInt(it.quantity, 0),
-    0,
-  );
-
-  // update any elements with id or class "cart-count" (compatibility)
-  const idBadge = document.getElementById("cart-count");
-  if (idBadge) idBadge.textContent = totalCount;
-
-  // also update elements with class .cart-count (if some pages use that)
-  $$(".cart-count").forEach((el) => (el.textContent = totalCount));
+/* Bar fixed to the bottom of the page while products are picked: their
+   thumbnails, a link to compare.html and Clear. Pages that should stay
+   clear of it (compare.html, checkout) set data-no-compare-tray on body. */
+function renderCompareTray() {
+  if (document.body.hasAttribute("data-no-compare-tray")) return;
+  let tray = document.getElementById("compareTray");
+  if (!tray) {
+    tray = document.createElement("aside");
+    tray.id = "compareTray";
+    tray.className = "compare-tray";
+    tray.setAttribute("aria-label", "Products to compare");
+    document.body.appendChild(tray);
+  }
 
-  // If cart modal exists, re-render items & total
-  const cartItemsContainer = document.getElementById("cartItems");
-  const cartTotal = document.getElementById("cartTotal");
-  if (cartItemsContainer) {
-    if (cart.length === 0) {
-      cartItemsContainer.innerHTML = "<p>Shopping cart is empty.</p>";
-      if (cartTotal) cartTotal.textContent = "0 $";
-    } else {
-      cartItemsContainer.innerHTML = cart
+  const products = CompareAPI.getProducts();
+  tray.hidden = products.length === 0;
+  if (!products.length) return;
+
+  const ready = products.length >= 2;
+  tray.innerHTML = `
+    <p class="compare-tray__title">Compare ${SpecsAPI.getCategoryLabel(
+      CompareAPI.getCategory(),
+    )} <span>(${products.length}/${CompareAPI.MAX_ITEMS})</span></p>
+    <ul class="compare-tray__items">
+      ${products
         .map(
-          (it) => `
-          <div class="cart-item" data-id="${it.id}">
-            <img src="${it.image}" alt="${it.name}" width="60" height="60" />
-            <div class="cart-item-info">
-              <div class="cart-item-name">${it.name}</div>
-              <div class="cart-item-qty">Quantity: ${it.quantity}</div>
-              <div class="cart-item-price">${numberToLocaleString(
-                it.price,
-              )} $ / unit</div>
-            </div>
-            <button class="remove-cart-item" data-id="${it.id}">Remove</button>
-          </div>
-        `,
+          (p) => `
+        <li>
+          <img src="${p.images[0]}" alt="" />
+          <span>${p.shortName}</span>
+          <button type="button" class="compare-tray__remove" data-id="${p.id}" aria-label="Remove ${p.shortName} from comparison">&times;</button>
+        </li>`,
         )
-        .join("");
-      const total = cart.reduce((s, it) => s + it.price * it.quantity, 0);
-      if (cartTotal)
-        cartTotal.textContent = `${numberToLocaleString(total)} $`;
-    }
-  }
+        .join("")}
+    </ul>
+    <div class="compare-tray__actions">
+      ${
+        ready
+          ? '<a class="btn" href="compare.html">Compare now</a>'
+          : '<span class="compare-tray__hint">Pick one more to compare</span>'
+      }
+      <button type="button" class="compare-tray__clear">Clear</button>
+    </div>`;
 }
 
-/* Alias kept for compatibility */
-function updateCartBadge() {
-  updateCartUI();
-  initCartUpdateListeners();
+/* Compare checkboxes anywhere on the page (delegated) and the tray.
+   Picking a product of another category offers to start over. */
+function initCompare() {
+  document.addEventListener("change", (e) => {
+    const input = e.target.closest("[data-compare-id]");
+    if (!input) return;
+    const id = input.dataset.compareId;
+    if (!input.checked) {
+      CompareAPI.remove(id);
+      return;
+    }
+
+    const product = CatalogAPI.findProduct(id);
+    const result = CompareAPI.add(product);
+    if (result.ok) return;
+    if (
+      result.code === "category" &&
+      confirm(
+        `${result.error} Start a new comparison with ${product.shortName}?`,
+      )
+    ) {
+      CompareAPI.replaceWith(product);
+      return;
+    }
+    input.checked = false;
+    if (result.code !== "category") showToast(result.error);
+  });
+
+  document.addEventListener("click", (e) => {
+    const remove = e.target.closest(".compare-tray__remove");
+    if (remove) CompareAPI.remove(remove.dataset.id);
+    if (e.target.closest(".compare-tray__clear")) CompareAPI.clear();
+  });
+
+  document.addEventListener(CompareAPI.EVENT_NAME, () => {
+    $$("[data-compare-id]").forEach((input) => {
+      input.checked = CompareAPI.has(input.dataset.compareId);
+    });
+    renderCompareTray();
+  });
 }
 
 /* --------------------------
@@ -314,8 +350,6 @@ function initCartModal() {
 
   if (cartBtn && cartModal) {
     cartBtn.addEventListener("click", () => {
-      updateCartUI();
-      initCartUpdateListeners();
       cartModal.style.display = "block";
     });
   }
@@ -329,15 +363,22 @@ function initCartModal() {
     });
   }
 
-  // delegated remove handler
-  document.addEventListener("click", (e) => {
-    const rem = e.target.closest(".remove-cart-item");
-    if (!rem) return;
-    const id = safeParseInt(rem.dataset.id);
-    if (!id) return;
-    const newCart = getCart().filter((it) => it.id !== id);
-    saveCart(newCart);
-    showToast("Product removed from cart.");
+  // removal itself is handled by the cart renderer (CartAPI.updateCartUI)
+  cartModal?.addEventListener("click", (e) => {
+    if (e.target.closest(".remove-btn"))
+      showToast("Product removed from cart.");
+  });
+}
+
+/* Explain quantities the cart had to lower to the available stock */
+function initStockLimitToast() {
+  document.addEventListener(CartAPI.LIMIT_EVENT, (e) => {
+    const { name, stock, quantity } = e.detail || {};
+    if (!stock) showToast(`${name} is out of stock.`);
+    else
+      showToast(
+        `Only ${stock} of ${name} in stock. Quantity in cart: ${quantity}.`,
+      );
   });
 }
 
@@ -346,8 +387,7 @@ function initCheckout() {
   const checkoutBtn = document.querySelector(".btn-checkout");
   if (!checkoutBtn) return;
   checkoutBtn.addEventListener("click", (e) => {
-    const loggedIn = sessionStorage.getItem("loggedIn") === "true";
-    if (!loggedIn) {
+    if (!AuthAPI.getCurrentUser()) {
       e.preventDefault();
       sessionStorage.setItem("fromCheckout", "true");
       window.location.href = "auth.html";
@@ -423,60 +463,170 @@ function initSlider() {
 }
 
 /* Search logic (debounced) */
+function searchUrl(query) {
+  return `search.html?q=${encodeURIComponent(query.trim())}`;
+}
+
+/* Header search: ranked results while typing (SearchAPI), recent searches
+   on focus, arrow keys / Enter / Escape, and "See all" for search.html */
 function initSearch() {
   const searchInput = document.querySelector(".nav-search");
   const resultsContainer = document.getElementById("searchResults");
   if (!searchInput || !resultsContainer) return;
 
-  async function displayResults(items) {
-    if (!items || items.length === 0) {
-      resultsContainer.innerHTML = "<p>No products found</p>";
-      resultsContainer.style.display = "block";
-      return;
-    }
-    resultsContainer.innerHTML = items
-      .map((p) => {
-        const $ = usdTo$(p.price);
-        return `
-          <a href="product.html?id=${p.id}" class="search-item">
-            <img src="${p.images[0]}" alt="${p.name}" />
-            <div class="info">
-              <h4>${p.shortName}</h4>
-              <p class="brand">${p.brand}</p>
-              <p class="price">${numberToLocaleString($)} $</p>
-            </div>
-          </a>`;
-      })
-      .join("");
+  const DROPDOWN_LIMIT = 6;
+  const { escapeHtml } = UtilsAPI;
+  let activeIndex = -1;
+
+  searchInput.setAttribute("role", "combobox");
+  searchInput.setAttribute("aria-autocomplete", "list");
+  searchInput.setAttribute("aria-controls", "searchResults");
+  searchInput.setAttribute("aria-expanded", "false");
+  resultsContainer.setAttribute("role", "listbox");
+
+  const options = () => $$("[role=option]", resultsContainer);
+
+  function open(html) {
+    resultsContainer.innerHTML = html;
     resultsContainer.style.display = "block";
+    searchInput.setAttribute("aria-expanded", "true");
+    setActive(-1);
   }
 
-  const handleInput = debounce(async (e) => {
-    const q = e.target.value.trim().toLowerCase();
-    if (!q) {
-      resultsContainer.innerHTML = "";
-      resultsContainer.style.display = "none";
+  function close() {
+    resultsContainer.style.display = "none";
+    searchInput.setAttribute("aria-expanded", "false");
+    setActive(-1);
+  }
+
+  function setActive(index) {
+    const list = options();
+    // past either end goes back to the input
+    activeIndex = index >= 0 && index < list.length ? index : -1;
+    list.forEach((option, i) => {
+      option.classList.toggle("is-active", i === activeIndex);
+      option.setAttribute("aria-selected", String(i === activeIndex));
+    });
+    const active = list[activeIndex];
+    if (active) {
+      searchInput.setAttribute("aria-activedescendant", active.id);
+      active.scrollIntoView?.({ block: "nearest" });
+    } else searchInput.removeAttribute("aria-activedescendant");
+  }
+
+  function showRecent() {
+    const recent = SearchAPI.getRecentSearches();
+    if (!recent.length) return close();
+    open(`
+      <p class="search-results__heading">Recent searches
+        <button type="button" class="search-recent-clear">Clear</button>
+      </p>
+      ${recent
+        .map(
+          (q, i) =>
+            `<a href="${searchUrl(q)}" class="search-recent" role="option" id="search-option-${i}" data-query="${escapeHtml(
+              q,
+            )}">${escapeHtml(q)}</a>`,
+        )
+        .join("")}`);
+  }
+
+  async function showResults(query) {
+    await loadProducts();
+    // a newer keystroke may have changed the query meanwhile
+    if (searchInput.value.trim() !== query) return;
+    const results = SearchAPI.search(query);
+    if (!results.length) {
+      open(
+        `<p class="search-results__empty">No products found for “${escapeHtml(
+          query,
+        )}”</p>`,
+      );
       return;
     }
-    const products = await loadProducts();
-    const filtered = products.filter((p) => {
-      const fields = [
-        p.name,
-        p.shortName,
-        p.brand,
-        p.category,
-        p.shortDesc,
-      ].filter(Boolean);
-      return fields.some((f) => f.toLowerCase().includes(q));
-    });
-    await displayResults(filtered);
+    const mark = (text) => SearchAPI.highlight(text, query);
+    open(`
+      ${results
+        .slice(0, DROPDOWN_LIMIT)
+        .map(({ product: p, specMatches }, i) => {
+          const spec = specMatches[0];
+          return `
+          <div class="search-item">
+            <a href="product.html?id=${p.id}" class="search-item__link" role="option" id="search-option-${i}">
+              <img src="${p.images[0]}" alt="${escapeHtml(p.name)}" />
+              <div class="info">
+                <h4>${mark(p.shortName)}</h4>
+                <p class="brand">${mark(p.brand)}</p>
+                ${
+                  spec
+                    ? `<p class="search-item__spec">${spec.label}: ${mark(spec.value)}</p>`
+                    : ""
+                }
+                <p class="price">${numberToLocaleString(
+                  CatalogAPI.getUnitPrice(p),
+                )} $</p>
+              </div>
+            </a>
+            ${wishlistButton(p, "inline")}
+          </div>`;
+        })
+        .join("")}
+      <a href="${searchUrl(query)}" class="search-results__all" role="option" id="search-option-all">
+        See all ${results.length} result${results.length === 1 ? "" : "s"}
+      </a>`);
+  }
+
+  const handleInput = debounce(() => {
+    const query = searchInput.value.trim();
+    if (query) showResults(query);
+    else showRecent();
   }, 250);
 
   searchInput.addEventListener("input", handleInput);
+  searchInput.addEventListener("focus", () => {
+    if (!searchInput.value.trim()) showRecent();
+  });
+
+  searchInput.addEventListener("keydown", (e) => {
+    const isOpen = resultsContainer.style.display === "block";
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!isOpen) return handleInput();
+      setActive(
+        activeIndex === -1 && e.key === "ArrowUp"
+          ? options().length - 1
+          : activeIndex + (e.key === "ArrowDown" ? 1 : -1),
+      );
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      const active = options()[activeIndex];
+      if (active) active.click();
+      else if (searchInput.value.trim()) {
+        SearchAPI.addRecentSearch(searchInput.value);
+        window.location.href = searchUrl(searchInput.value);
+      }
+    } else if (e.key === "Escape") {
+      close();
+    }
+  });
+
+  resultsContainer.addEventListener("click", (e) => {
+    if (e.target.closest(".search-recent-clear")) {
+      SearchAPI.clearRecentSearches();
+      close();
+      searchInput.focus();
+      return;
+    }
+    // opening a result or "See all" remembers what was searched
+    const link = e.target.closest("a[role=option]");
+    if (link)
+      SearchAPI.addRecentSearch(link.dataset.query || searchInput.value);
+  });
 
   // hide when clicking outside
   document.addEventListener("click", (e) => {
-    if (!e.target.closest(".search")) resultsContainer.style.display = "none";
+    // clicks inside the results (e.g. a wishlist heart) keep them open
+    if (!e.target.closest(".search, #searchResults")) close();
   });
 }
 
@@ -492,7 +642,7 @@ async function renderFeaturedProducts() {
 
   container.innerHTML = bestSeller
     .map((p) => {
-      const $ = usdTo$(p.price);
+      const $ = CatalogAPI.getUnitPrice(p);
       // data-price is $ number
       return `
       <div class="col-12 col-sm-6 col-md-4 col-lg-3 mb-4 d-flex justify-content-center">
@@ -501,6 +651,7 @@ async function renderFeaturedProducts() {
         }" data-name="${p.shortName}" data-price="${$}" data-image="${
           p.images[0]
         }" style="width: 19rem;">
+          ${wishlistButton(p)}
           <img src="${p.images[0]}" class="card-img-top mx-auto mt-3" alt="${
             p.name
           }" style="width: 150px; height: 150px; object-fit: contain;">
@@ -509,12 +660,11 @@ async function renderFeaturedProducts() {
             <p class="card-text text-success fw-bold">Price: ${numberToLocaleString(
               $,
             )} $</p>
+            ${renderStockBadge(p)}
             <a href="product.html?id=${
               p.id
             }" class="CTA btn-outline-primary mb-2">View Product</a>
-            <button class="btn-success addToCart" data-id="${
-              p.id
-            }">Add to Cart</button>
+            ${addToCartButton(p, "btn-success addToCart")}
           </div>
         </div>
       </div>`;
@@ -526,19 +676,22 @@ async function renderSpecialOffers() {
   const container = document.getElementById("special-offers-container-slider");
   if (!container) return;
   const products = await loadProducts();
-  const specialOffer = products.filter((p) => p.specialOffer === true);
-  const discount = 5;
+  // every product with an active promotion (see assets/data/promotions.json)
+  const specialOffer = products
+    .map((p) => ({ p, pricing: PromotionsAPI.getEffectivePrice(p) }))
+    .filter(({ pricing }) => pricing.promotion);
 
   container.innerHTML = specialOffer
-    .map((p) => {
-      const original$ = usdTo$(p.price);
-      const discounted = Math.round((original$ * (100 - discount)) / 100);
+    .map(({ p, pricing }) => {
+      const original$ = pricing.listPrice;
+      const discounted = pricing.price;
       return `
       <div class="swiper-slide">
         <div class="special-offer-slide" data-id="${p.id}" data-name="${
           p.shortName
         }" data-price="${discounted}" data-image="${p.images[0]}">
-          <span class="special-offer-badge">${discount}% OFF</span>
+          <span class="special-offer-badge">${pricing.label}</span>
+          ${wishlistButton(p)}
           <img src="${p.images[0]}" alt="${p.name}">
           <h3>${p.shortName}</h3>
           <p class="product-price">Original Price: ${numberToLocaleString(
@@ -547,11 +700,13 @@ async function renderSpecialOffers() {
           <p class="special-offer-price">Discounted Price: ${numberToLocaleString(
             discounted,
           )} $</p>
+          ${renderOfferCountdown(pricing)}
+          ${renderStockBadge(p)}
           <div class="buttons">
             <button class="CTA"><a href="product.html?id=${
               p.id
             }">View Product</a></button>
-            <button class="addToCart">Add to Cart</button>
+            ${addToCartButton(p)}
           </div>
         </div>
       </div>`;
@@ -580,6 +735,41 @@ async function renderSpecialOffers() {
   }
 }
 
+/* --------------------------
+   Promotion countdowns (special offers slider, product page)
+   -------------------------- */
+function renderOfferCountdown(pricing) {
+  if (!pricing?.endsAt) return "";
+  return `<p class="offer-countdown" data-ends-at="${pricing.endsAt.toISOString()}"></p>`;
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hms = [
+    Math.floor((totalSeconds % 86400) / 3600),
+    Math.floor((totalSeconds % 3600) / 60),
+    totalSeconds % 60,
+  ]
+    .map(pad)
+    .join(":");
+  return days > 0 ? `${days}d ${hms}` : hms;
+}
+
+// one timer for every countdown on the page, including ones rendered later
+function initOfferCountdowns() {
+  const tick = () => {
+    $$(".offer-countdown[data-ends-at]").forEach((el) => {
+      const left = new Date(el.dataset.endsAt).getTime() - Date.now();
+      el.textContent =
+        left > 0 ? `Ends in ${formatCountdown(left)}` : "Offer ended";
+    });
+  };
+  tick();
+  setInterval(tick, 1000);
+}
+
 /* --------------------------
    Product page init (product.html)
    Renders details and ensures product-info has data-price in $
@@ -619,61 +809,20 @@ async function initProductPage() {
         .join("")}
     </div>`;
 
-  // specs (same as before, keep safe fallbacks)
-  let specsHtml = "";
-  if (product.category === "laptop") {
-    specsHtml = `
-      <div class="spec"><strong>Memory:</strong> ${product.memory || ""}</div>
-      <div class="spec"><strong>Storage:</strong> ${product.storage || ""}</div>
-      <div class="spec"><strong>Processor:</strong> ${
-        product.processor || ""
-      }</div>
-      <div class="spec"><strong>Display:</strong> ${product.display || ""}</div>
-      <div class="spec"><strong>Graphics:</strong> ${product.graphics || ""}</div>
-      <div class="spec"><strong>Touchscreen:</strong> ${
-        product.touchscreen ? "Yes" : "No"
-      }</div>`;
-  } else if (product.category === "monitor") {
-    specsHtml = `
-      <div class="spec"><strong>Size:</strong> ${product.size || ""}</div>
-      <div class="spec"><strong>Resolution:</strong> ${
-        product.resolution || ""
-      }</div>
-      <div class="spec"><strong>Refresh Rate:</strong> ${
-        product.refreshRate || ""
-      }</div>
-      <div class="spec"><strong>Panel Type:</strong> ${
-        product.panelType || ""
-      }</div>
-      <div class="spec"><strong>Ports:</strong> ${(product.ports || []).join(
-        ", ",
-      )}</div>`;
-  } else if (product.category === "audio") {
-    specsHtml = `
-      <div class="spec"><strong>Connectivity:</strong> ${
-        product.connectivity || ""
-      }</div>
-      <div class="spec"><strong>Battery Life:</strong> ${
-        product.batteryLife || ""
-      }</div>`;
-  } else if (product.category === "accessory") {
-    specsHtml = `
-      <div class="spec"><strong>Type:</strong> ${product.type || ""}</div>
-      <div class="spec"><strong>Connectivity:</strong> ${
-        product.connectivity || ""
-      }</div>`;
-  }
-
-  specsHtml += `
-    <div class="spec"><strong>Color:</strong> ${product.color || ""}</div>
-    <div class="spec"><strong>Brand:</strong> ${product.brand || ""}</div>
-    <div class="spec"><strong>Stock:</strong> ${product.stock || ""}</div>`;
+  // specs from the shared schema (assets/data/specs.json), then stock
+  const { stock } = getStockStatus(product);
+  const specsHtml = [
+    ...SpecsAPI.getSpecRows(product),
+    { label: "Stock", value: Number.isFinite(stock) ? stock : "" },
+  ]
+    .map(
+      (s) => `<div class="spec"><strong>${s.label}:</strong> ${s.value}</div>`,
+    )
+    .join("");
 
-  const discount = product.specialOffer ? 5 : 0;
-  const original$ = usdTo$(product.price);
-  const final$ = product.specialOffer
-    ? Math.round((original$ * (100 - discount)) / 100)
-    : original$;
+  const pricing = PromotionsAPI.getEffectivePrice(product);
+  const original$ = pricing.listPrice;
+  const final$ = pricing.price;
 
   productDetailEl.innerHTML = `
     <div class="product-name">
@@ -685,22 +834,29 @@ async function initProductPage() {
       product.shortName
     }" data-price="${final$}" data-image="${product.images[0]}">
       ${
-        product.specialOffer
-          ? `<p class="discount">${discount}% Special Discount</p>
+        pricing.promotion
+          ? `<p class="discount">${pricing.label} · ${
+              pricing.promotion.label || "Special Discount"
+            }</p>
         <p class="price-dis">Original Price: ${numberToLocaleString(
           original$,
         )} $</p>
-        <p class="price">Discounted Price: ${numberToLocaleString(
-          final$,
-        )} $</p>`
+        <p class="price">Discounted Price: ${numberToLocaleString(final$)} $</p>
+        ${renderOfferCountdown(pricing)}`
           : `<p class="price">Price: ${numberToLocaleString(final$)} $</p>`
       }
+      <a href="#comments" class="product-rating" id="productRating"></a>
+      ${renderStockBadge(product)}
       <h3>Specifications</h3>
       <div class="product-details">
         <p class="long-desc">${product.longDesc || ""}</p>
       </div>
       <div class="specs">${specsHtml}</div>
-      <button class="addToCart">Add to Cart</button>
+      <div class="product-actions">
+        ${addToCartButton(product)}
+        ${wishlistButton(product, "labelled")}
+        ${compareCheckbox(product)}
+      </div>
     </div>`;
 
   // gallery interactions
@@ -714,38 +870,285 @@ async function initProductPage() {
     }),
   );
 
-  // reviews
-  if (product.reviews?.length && commentsEl) {
-    commentsEl.innerHTML = product.reviews
-      .map((r) => {
-        const stars =
-          "★".repeat(Math.round(r.rating || 0)) +
-          "☆".repeat(5 - Math.round(r.rating || 0));
-        return `<div class="review"><div class="user">${r.user} - ${r.date}</div><div class="stars">${stars}</div><div class="comment">${r.comment}</div></div>`;
+  initReviews(product, commentsEl);
+
+  // recommendations (scored, falling back to relatedProducts)
+  if (similarProductsEl) {
+    similarProductsEl.innerHTML = RecommendationsAPI.getRecommendations(product)
+      .map(({ product: p, reasons }) =>
+        similarProductCard(
+          p,
+          reasons.includes("boughtTogether") ? "Often bought together" : "",
+        ),
+      )
+      .join("");
+  }
+
+  RecentlyViewedAPI.add(product.id);
+  initRecentlyViewed(product.id);
+}
+
+// small card for the similar / recently viewed strips
+function similarProductCard(p, note = "") {
+  return `<div class="similar-product">${wishlistButton(p)}<img src="${
+    p.images[0]
+  }" alt="${p.name}"><h4>${p.shortName}</h4>${
+    note ? `<p class="similar-product__note">${note}</p>` : ""
+  }<p>${numberToLocaleString(
+    CatalogAPI.getUnitPrice(p),
+  )} $</p><a href="product.html?id=${p.id}" class="CTA">View Product</a></div>`;
+}
+
+/* --------------------------
+   Recently viewed strip (index.html, product.html)
+   [data-recently-viewed] wraps the heading and #recentlyViewed, and stays
+   hidden until there is something to show.
+   -------------------------- */
+function initRecentlyViewed(excludeId = null) {
+  const wrapper = document.querySelector("[data-recently-viewed]");
+  const listEl = document.getElementById("recentlyViewed");
+  if (!wrapper || !listEl) return;
+
+  function render() {
+    const products = RecentlyViewedAPI.getProducts(excludeId);
+    wrapper.hidden = !products.length;
+    listEl.innerHTML = products.map((p) => similarProductCard(p)).join("");
+  }
+
+  wrapper.addEventListener("click", (e) => {
+    if (e.target.closest("[data-clear-recent]")) RecentlyViewedAPI.clear();
+  });
+  document.addEventListener(RecentlyViewedAPI.EVENT_NAME, render);
+  render();
+}
+
+/* --------------------------
+   Product reviews (product.html)
+   Aggregated rating with a histogram of the written reviews, the list with
+   sort/filter and helpful votes, and the form for verified buyers.
+   -------------------------- */
+function starsText(rating) {
+  const full = Math.round(rating || 0);
+  return "★".repeat(full) + "☆".repeat(5 - full);
+}
+
+const REVIEW_SORTS = {
+  newest: (a, b) => new Date(b.date) - new Date(a.date),
+  highest: (a, b) => b.rating - a.rating || REVIEW_SORTS.newest(a, b),
+  lowest: (a, b) => a.rating - b.rating || REVIEW_SORTS.newest(a, b),
+  helpful: (a, b) => b.helpful - a.helpful || REVIEW_SORTS.newest(a, b),
+};
+
+function initReviews(product, commentsEl) {
+  if (!commentsEl) return;
+  const { escapeHtml } = UtilsAPI;
+  // filter: "all", "comments" or a star count ("5" ... "1")
+  const view = { sort: "newest", filter: "all" };
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+  commentsEl.innerHTML = `
+    <div class="review-summary" id="reviewSummary"></div>
+    <div id="reviewFormSlot"></div>
+    <div class="review-controls" id="reviewControls">
+      <label>Sort by
+        <select id="reviewSort">
+          <option value="newest">Newest</option>
+          <option value="highest">Highest rated</option>
+          <option value="lowest">Lowest rated</option>
+          <option value="helpful">Most helpful</option>
+        </select>
+      </label>
+      <label>Show
+        <select id="reviewFilter">
+          <option value="all">All reviews</option>
+          <option value="comments">With comments</option>
+          ${[5, 4, 3, 2, 1]
+            .map((n) => `<option value="${n}">${plural(n, "star")}</option>`)
+            .join("")}
+        </select>
+      </label>
+    </div>
+    <div id="reviewList"></div>`;
+
+  const summaryEl = commentsEl.querySelector("#reviewSummary");
+  const formSlot = commentsEl.querySelector("#reviewFormSlot");
+  const controlsEl = commentsEl.querySelector("#reviewControls");
+  const listEl = commentsEl.querySelector("#reviewList");
+  const sortSelect = commentsEl.querySelector("#reviewSort");
+  const filterSelect = commentsEl.querySelector("#reviewFilter");
+
+  function renderSummary(reviews) {
+    const { average, count } = CatalogAPI.getRating(product);
+    const distribution = ReviewsAPI.getDistribution(reviews);
+    const bars = [5, 4, 3, 2, 1]
+      .map((stars) => {
+        const n = distribution[stars];
+        const pct = reviews.length ? Math.round((n / reviews.length) * 100) : 0;
+        return `
+          <button type="button" class="review-bar${
+            view.filter === String(stars) ? " is-active" : ""
+          }" data-stars="${stars}" aria-label="Show ${plural(
+            stars,
+            "star",
+          )} reviews (${n})"${n ? "" : " disabled"}>
+            <span>${stars}★</span>
+            <span class="review-bar__track"><span class="review-bar__fill" style="width: ${pct}%"></span></span>
+            <span>${n}</span>
+          </button>`;
       })
       .join("");
-  } else if (commentsEl) {
-    commentsEl.innerHTML = "<p>No reviews yet.</p>";
+
+    summaryEl.innerHTML = `
+      <div class="review-summary__score">
+        <strong>${average ? average.toFixed(1) : "–"}</strong>
+        <div class="stars">${starsText(average)}</div>
+        <p>${plural(count, "rating")}</p>
+      </div>
+      <div class="review-histogram">
+        ${bars}
+        <p class="review-histogram__note">From ${plural(
+          reviews.length,
+          "written review",
+        )}</p>
+      </div>`;
+
+    const ratingEl = document.getElementById("productRating");
+    if (ratingEl)
+      ratingEl.textContent = count
+        ? `${starsText(average)} ${average.toFixed(1)} (${plural(count, "rating")})`
+        : "No ratings yet";
   }
 
-  // related
-  if (product.relatedProducts?.length && similarProductsEl) {
-    const related = products.filter((p) =>
-      product.relatedProducts.includes(p.id),
-    );
-    similarProductsEl.innerHTML = related
+  function renderReview(r) {
+    return `
+      <div class="review" data-review-id="${escapeHtml(r.id)}">
+        <div class="user">${escapeHtml(r.user)} - ${escapeHtml(
+          String(r.date || "").slice(0, 10),
+        )}${
+          r.verified
+            ? ' <span class="verified-badge">✔ Verified purchase</span>'
+            : ""
+        }</div>
+        <div class="stars">${starsText(r.rating)}</div>
+        ${r.comment ? `<div class="comment">${escapeHtml(r.comment)}</div>` : ""}
+        <button type="button" class="review-helpful${
+          r.votedByMe ? " is-voted" : ""
+        }" data-helpful="${escapeHtml(r.id)}" aria-pressed="${r.votedByMe}"${
+          r.mine ? " disabled" : ""
+        }>Helpful (${r.helpful})</button>
+      </div>`;
+  }
+
+  function renderList() {
+    const reviews = ReviewsAPI.getReviews(product);
+    renderSummary(reviews);
+    controlsEl.hidden = !reviews.length;
+
+    const shown = reviews
+      .filter((r) =>
+        view.filter === "all"
+          ? true
+          : view.filter === "comments"
+            ? !!r.comment.trim()
+            : Math.round(r.rating) === Number(view.filter),
+      )
+      .sort(REVIEW_SORTS[view.sort]);
+    listEl.innerHTML = !reviews.length
+      ? "<p>No reviews yet.</p>"
+      : shown.length
+        ? shown.map(renderReview).join("")
+        : "<p>No reviews match this filter.</p>";
+  }
+
+  function renderForm() {
+    const allowed = ReviewsAPI.canReview(product.id);
+    if (!allowed.ok) {
+      formSlot.innerHTML =
+        allowed.code === "login"
+          ? '<p class="review-note"><a href="auth.html">Log in</a> to review a product you bought.</p>'
+          : `<p class="review-note">${allowed.error}</p>`;
+      return;
+    }
+    const own = allowed.review;
+    // listed 5..1 so CSS can light up the hovered star and those before it
+    const stars = [5, 4, 3, 2, 1]
       .map(
-        (p) =>
-          `<div class="similar-product"><img src="${p.images[0]}" alt="${
-            p.name
-          }"><h4>${p.shortName}</h4><p>${numberToLocaleString(
-            usdTo$(p.price),
-          )} $</p><a href="product.html?id=${
-            p.id
-          }" class="CTA">View Product</a></div>`,
+        (n) =>
+          `<input type="radio" name="rating" id="reviewStar${n}" value="${n}"${
+            own?.rating === n ? " checked" : ""
+          } /><label for="reviewStar${n}" title="${plural(n, "star")}">★</label>`,
       )
       .join("");
+    formSlot.innerHTML = `
+      <form class="review-form" id="reviewForm" novalidate>
+        <h4>${own ? "Update your review" : "Write a review"}</h4>
+        <fieldset class="star-input">
+          <legend>Your rating</legend>
+          ${stars}
+        </fieldset>
+        <label for="reviewComment">Your review (optional)</label>
+        <textarea id="reviewComment" rows="4" maxlength="${
+          ReviewsAPI.MAX_COMMENT
+        }">${escapeHtml(own?.comment || "")}</textarea>
+        <p class="review-form__error" id="reviewError" role="alert"></p>
+        <button type="submit" class="btn">${
+          own ? "Update review" : "Submit review"
+        }</button>
+      </form>`;
   }
+
+  commentsEl.addEventListener("submit", (e) => {
+    if (e.target.id !== "reviewForm") return;
+    e.preventDefault();
+    const form = e.target;
+    const result = ReviewsAPI.submitReview(product.id, {
+      rating: form.querySelector('input[name="rating"]:checked')?.value,
+      comment: form.querySelector("#reviewComment").value,
+    });
+    if (!result.ok) {
+      form.querySelector("#reviewError").textContent = result.error;
+      return;
+    }
+    showToast("Thanks for your review!");
+    renderForm();
+  });
+
+  commentsEl.addEventListener("click", (e) => {
+    const bar = e.target.closest("[data-stars]");
+    if (bar) {
+      // clicking the active bar again shows everything
+      view.filter =
+        view.filter === bar.dataset.stars ? "all" : bar.dataset.stars;
+      filterSelect.value = view.filter;
+      renderList();
+      return;
+    }
+    const helpful = e.target.closest("[data-helpful]");
+    if (helpful) {
+      const result = ReviewsAPI.toggleHelpful(
+        product.id,
+        helpful.dataset.helpful,
+      );
+      if (!result.ok) showToast(result.error);
+    }
+  });
+
+  sortSelect.addEventListener("change", () => {
+    view.sort = sortSelect.value;
+    renderList();
+  });
+  filterSelect.addEventListener("change", () => {
+    view.filter = filterSelect.value;
+    renderList();
+  });
+
+  document.addEventListener(ReviewsAPI.EVENT_NAME, (e) => {
+    const { productId } = e.detail || {};
+    if (productId === undefined || productId === product.id) renderList();
+  });
+
+  renderForm();
+  renderList();
 }
 
 /* --------------------------
@@ -792,7 +1195,7 @@ function initDelegatedAddToCart() {
     if (!price$) {
       // look up in products cache for id
       const p = (productsCache || []).find((x) => x.id === id);
-      if (p) price$ = usdTo$(p.price);
+      if (p) price$ = CatalogAPI.getUnitPrice(p);
     }
 
     const name =
@@ -810,7 +1213,9 @@ function initDelegatedAddToCart() {
       quantity: 1,
     };
 
-    addToCart(product);
+    // stock limits are reported through the "cart:limit" toast below
+    const result = CartAPI.addToCart(product);
+    if (!result || result.limited) return;
 
     // immediate UI feedback
     showToast("Added to cart.");
@@ -831,30 +1236,36 @@ function initLogout() {
   const logoutBtn = document.getElementById("logoutNav");
   if (logoutBtn) {
     logoutBtn.addEventListener("click", () => {
-      sessionStorage.removeItem("loggedIn");
+      AuthAPI.logout();
       updateHeaderUser();
+      WishlistAPI.refresh(); // back to the guest list
       showToast("You have logged out.");
     });
   }
 }
 
 function updateHeaderUser() {
-  const loggedIn = sessionStorage.getItem("loggedIn") === "true";
+  const user = AuthAPI.getCurrentUser();
   const welcomeNav = document.getElementById("welcomeNav");
   const logoutNav = document.getElementById("logoutNav");
+  const ordersNav = document.getElementById("ordersNav");
+  const profileNav = document.getElementById("profileNav");
   const loginBtns = document.querySelectorAll(".btn-login");
 
-  if (loggedIn) {
-    const user = JSON.parse(localStorage.getItem("user") || "{}");
+  if (user) {
     if (welcomeNav) {
       welcomeNav.style.display = "inline-block";
       welcomeNav.textContent = `Welcome, ${user.username || "User"}!`;
     }
     if (logoutNav) logoutNav.style.display = "inline-block";
+    if (ordersNav) ordersNav.style.display = "inline-block";
+    if (profileNav) profileNav.style.display = "inline-block";
     loginBtns.forEach((b) => (b.style.display = "none"));
   } else {
     if (welcomeNav) welcomeNav.style.display = "none";
     if (logoutNav) logoutNav.style.display = "none";
+    if (ordersNav) ordersNav.style.display = "none";
+    if (profileNav) profileNav.style.display = "none";
     loginBtns.forEach((b) => (b.style.display = "inline-block"));
   }
 }
@@ -867,10 +1278,13 @@ document.addEventListener("DOMContentLoaded", async () => {
   initActiveNavLink();
   initMenuToggle();
   initCartModal();
+  initStockLimitToast();
   initCheckout();
   initSlider();
   initSearch();
   initDelegatedAddToCart();
+  initWishlist();
+  initCompare();
   initLogout();
   updateHeaderUser();
 
@@ -881,16 +1295,12 @@ document.addEventListener("DOMContentLoaded", async () => {
     loadProducts(),
   ]);
 
+  // the tray lists products by name, so it waits for the catalog
+  renderCompareTray();
+  renderCategoryNav();
+
   // If on product page, initialize it (after products loaded)
   await initProductPage();
-
-  // Ensure badge & UI in sync on first load
-  updateCartUI();
-  updateCartBadge();
-
-  // Also update badge after window load just-in-case some nav renders later
-  window.addEventListener("load", () => {
-    updateCartUI();
-    updateCartBadge();
-  });
+  if (!document.getElementById("productDetail")) initRecentlyViewed();
+  initOfferCountdowns();
 });
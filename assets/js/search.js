@@ -0,0 +1,258 @@
+(function (window) {
+  "use strict";
+
+  /* Product search for the header dropdown and search.html.
+
+     Every product is indexed by field, and each field has a weight:
+       name 10 > brand 6 > category 5 > specs 4 > description 2
+     Each query word must match some field, exactly (×1), as the start of a
+     word (×0.8, so results show while typing) or with a typo (×0.5; one
+     for words of 4+ letters, two from 8). Words with digits never fuzzy
+     match, so "144hz" does not find 165 Hz monitors. A number and its unit
+     are one word either way: "16 gb" and "16GB" both match "16GB RAM".
+     The whole query appearing in the name adds a bonus. */
+  const RECENT_KEY = "recentSearches";
+  const MAX_RECENT = 8;
+  const FIELD_WEIGHTS = {
+    name: 10,
+    brand: 6,
+    category: 5,
+    specs: 4,
+    description: 2,
+  };
+  const PHRASE_BONUS = 10;
+  const STOP_WORDS = ["a", "an", "and", "the", "with", "for", "of"];
+  const WORD = /[\p{L}\p{N}]+/gu;
+
+  const { escapeHtml } = window.UtilsAPI;
+
+  // lower case without accents: "Écran" -> "ecran"
+  function fold(text) {
+    return String(text ?? "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+
+  function tokenize(text) {
+    return fold(text).match(WORD) || [];
+  }
+
+  const isNumber = (word) => /^\d+$/.test(word);
+  const isUnit = (word) => /^[a-z]{1,4}$/.test(word || "");
+
+  // index side: "16 GB" gives "16", "gb" and "16gb"
+  function indexTokens(text) {
+    const words = tokenize(text);
+    const joined = words
+      .map((w, i) =>
+        isNumber(w) && isUnit(words[i + 1]) ? w + words[i + 1] : "",
+      )
+      .filter(Boolean);
+    return [...words, ...joined];
+  }
+
+  // query side: "16 gb" is the single term "16gb"
+  function queryTerms(query) {
+    const words = tokenize(query).filter((w) => !STOP_WORDS.includes(w));
+    const terms = [];
+    for (let i = 0; i < words.length; i++) {
+      if (isNumber(words[i]) && isUnit(words[i + 1])) {
+        terms.push(words[i] + words[i + 1]);
+        i++;
+      } else terms.push(words[i]);
+    }
+    return [...new Set(terms)];
+  }
+
+  // Damerau-Levenshtein (adjacent swaps count as one typo)
+  function distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + cost,
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  // 0 (no match) to 1 (same word); see the header comment
+  function matchQuality(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    if (/\d/.test(term)) return 0;
+    const typos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (!typos) return 0;
+    if (distance(term, word) <= typos) return 0.5;
+    // a typo in a word still being typed: "lapt" -> "laptop"
+    if (
+      word.length > term.length &&
+      distance(term, word.slice(0, term.length)) <= typos
+    )
+      return 0.4;
+    return 0;
+  }
+
+  const indexCache = new WeakMap();
+
+  /* { fields: { [field]: [token] }, specs: [{ label, value, tokens }] }
+     built once per product object */
+  function indexProduct(product) {
+    if (indexCache.has(product)) return indexCache.get(product);
+    const specs = window.SpecsAPI.getSpecs(product.category, { common: false })
+      .map((spec) => ({
+        label: spec.label,
+        value: window.SpecsAPI.formatSpec(product, spec),
+      }))
+      .filter((s) => s.value && s.value !== "No")
+      .map((s) => ({ ...s, tokens: indexTokens(s.value) }));
+    const entry = {
+      fields: {
+        name: indexTokens(`${product.shortName} ${product.name}`),
+        brand: indexTokens(product.brand),
+        category: indexTokens(
+          `${product.category} ${window.SpecsAPI.getCategoryLabel(product.category)}`,
+        ),
+        specs: [
+          ...specs.flatMap((s) => s.tokens),
+          ...indexTokens(product.color),
+        ],
+        description: indexTokens(`${product.shortDesc} ${product.longDesc}`),
+      },
+      specs,
+    };
+    indexCache.set(product, entry);
+    return entry;
+  }
+
+  function bestQuality(term, tokens) {
+    let best = 0;
+    for (const token of tokens) {
+      best = Math.max(best, matchQuality(term, token));
+      if (best === 1) break;
+    }
+    return best;
+  }
+
+  /* Ranked matches: [{ product, score, specMatches: [{ label, value }] }],
+     best first (ties go to the better rated product). specMatches lists the
+     specs a query word was found in, to show why a product matched. */
+  function search(query, products = window.CatalogAPI.getProducts()) {
+    const terms = queryTerms(query);
+    if (!terms.length) return [];
+    const phrase = fold(query).trim();
+
+    const results = [];
+    products.forEach((product) => {
+      const { fields, specs } = indexProduct(product);
+      let score = 0;
+      for (const term of terms) {
+        let best = 0;
+        Object.entries(fields).forEach(([field, tokens]) => {
+          best = Math.max(
+            best,
+            FIELD_WEIGHTS[field] * bestQuality(term, tokens),
+          );
+        });
+        if (!best) return; // every word has to match something
+        score += best;
+      }
+      if (fold(`${product.shortName} ${product.name}`).includes(phrase))
+        score += PHRASE_BONUS;
+      results.push({
+        product,
+        score,
+        specMatches: specs
+          .filter((s) => terms.some((t) => bestQuality(t, s.tokens) > 0))
+          .map(({ label, value }) => ({ label, value })),
+      });
+    });
+
+    return results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        window.CatalogAPI.getRating(b.product).average -
+          window.CatalogAPI.getRating(a.product).average,
+    );
+  }
+
+  /* Escaped text with the words matching the query wrapped in <mark>.
+     In "165 Hz" the number is marked for a "165hz" query. */
+  function highlight(text, query) {
+    const terms = queryTerms(query);
+    return String(text ?? "").replace(
+      /[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu,
+      (part) => {
+        const word = fold(part);
+        const hit =
+          /[\p{L}\p{N}]/u.test(part) &&
+          terms.some(
+            (t) =>
+              matchQuality(t, word) > 0 ||
+              (isNumber(word) && t.startsWith(word)),
+          );
+        return hit ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+      },
+    );
+  }
+
+  // ---------------------------
+  // Recent searches (localStorage "recentSearches", newest first)
+  // ---------------------------
+  function getRecentSearches() {
+    try {
+      const list = JSON.parse(localStorage.getItem(RECENT_KEY));
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveRecent(list) {
+    try {
+      if (list.length) localStorage.setItem(RECENT_KEY, JSON.stringify(list));
+      else localStorage.removeItem(RECENT_KEY);
+    } catch (e) {
+      console.error("Recent searches save error", e);
+    }
+  }
+
+  function addRecentSearch(query) {
+    const q = String(query ?? "")
+      .trim()
+      .replace(/\s+/g, " ");
+    if (!q) return;
+    saveRecent(
+      [q, ...getRecentSearches().filter((r) => fold(r) !== fold(q))].slice(
+        0,
+        MAX_RECENT,
+      ),
+    );
+  }
+
+  function removeRecentSearch(query) {
+    saveRecent(getRecentSearches().filter((r) => r !== query));
+  }
+
+  function clearRecentSearches() {
+    saveRecent([]);
+  }
+
+  window.SearchAPI = {
+    tokenize,
+    search,
+    highlight,
+    getRecentSearches,
+    addRecentSearch,
+    removeRecentSearch,
+    clearRecentSearches,
+  };
+})(window);
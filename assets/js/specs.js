@@ -0,0 +1,95 @@
+(function (window) {
+  "use strict";
+
+  const DATA_URL = "assets/data/specs.json";
+
+  let schema = null;
+  let pending = null;
+
+  /* Schema shape (assets/data/specs.json):
+     {
+       common: [Spec],                       // every category (color, brand)
+       categories: { [category]: { label, specs: [Spec] } }
+     }
+     Spec: { key, label, type?, facet? }
+       type: "boolean" | "list" (default: text)
+       facet: true offers the spec as a filter on listing pages
+     One schema drives the product page spec list, the comparison table and
+     the listing filters. */
+  function loadSchema() {
+    if (!pending) {
+      pending = fetch(DATA_URL)
+        .then((res) => res.json())
+        .then((data) => {
+          schema = data?.categories ? data : null;
+          return schema;
+        })
+        .catch((err) => {
+          console.error("Error loading specs.json:", err);
+          schema = null;
+          return schema;
+        });
+    }
+    return pending;
+  }
+
+  function getCategories() {
+    return Object.keys(schema?.categories || {});
+  }
+
+  // "Laptops"; a category without a schema entry shows as "Tablet"
+  function getCategoryLabel(category) {
+    const label = schema?.categories?.[category]?.label;
+    if (label) return label;
+    const name = String(category || "");
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  // category specs first, then the common ones
+  function getSpecs(category, { common = true } = {}) {
+    const own = schema?.categories?.[category]?.specs || [];
+    return common ? [...own, ...(schema?.common || [])] : own;
+  }
+
+  // display text for one spec of a product ("" when it has no value)
+  function formatSpec(product, spec) {
+    return getSpecValues(product, spec).join(", ");
+  }
+
+  /* Separate values of one spec, e.g. each port of a monitor. Some products
+     store a single text spec as a list too (audio connectivity). */
+  function getSpecValues(product, spec) {
+    const value = product?.[spec.key];
+    if (spec.type === "boolean") return [value ? "Yes" : "No"];
+    if (Array.isArray(value)) return value.map(String);
+    if (value === undefined || value === null || value === "") return [];
+    return spec.type === "list" ? [] : [String(value)];
+  }
+
+  // filterable specs for a category, brand first
+  function getFacets(category) {
+    return getSpecs(category)
+      .filter((spec) => spec.facet)
+      .sort((a, b) => (b.key === "brand") - (a.key === "brand"));
+  }
+
+  // [{ key, label, value }] for the product's category
+  function getSpecRows(product, options) {
+    return getSpecs(product?.category, options).map((spec) => ({
+      key: spec.key,
+      label: spec.label,
+      value: formatSpec(product, spec),
+    }));
+  }
+
+  window.SpecsAPI = {
+    loadSchema,
+    getCategories,
+    getCategoryLabel,
+    getSpecs,
+    formatSpec,
+    getSpecValues,
+    getSpecRows,
+    getFacets,
+  };
+})(window);
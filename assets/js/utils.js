@@ -0,0 +1,21 @@
+(function (window) {
+  "use strict";
+
+  /* Helpers shared by every page. Loaded before the other scripts and
+     free of side effects, so pages without a cart or catalog can use it. */
+
+  // for text injected into innerHTML: names, reviews, form input
+  function escapeHtml(s) {
+    if (s === null || s === undefined) return "";
+    return String(s)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  window.UtilsAPI = {
+    escapeHtml,
+  };
+})(window);
@@ -0,0 +1,156 @@
+(function (window, document) {
+  "use strict";
+
+  /* Saved-for-later products per account. localStorage "wishlists":
+       { [userId | "guest"]: [{ id, addedAt }] }
+     Keyed by account id, so a list is still there after logging out and
+     back in. What a guest saves is merged into their account once they log
+     in. Changes fire "wishlist:updated" on document with { ids, count }. */
+  const STORAGE_KEY = "wishlists";
+  const GUEST_KEY = "guest";
+  const EVENT_NAME = "wishlist:updated";
+
+  function readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function ownerKey() {
+    return window.AuthAPI?.getCurrentUser()?.id || GUEST_KEY;
+  }
+
+  function getEntries(owner = ownerKey()) {
+    const list = readAll()[owner];
+    return Array.isArray(list) ? list : [];
+  }
+
+  function notify() {
+    const ids = getIds();
+    document.dispatchEvent(
+      new CustomEvent(EVENT_NAME, { detail: { ids, count: ids.length } }),
+    );
+  }
+
+  function writeAll(all) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (e) {
+      console.error("Wishlist save error", e);
+    }
+    notify();
+  }
+
+  function saveEntries(list, owner = ownerKey()) {
+    const all = readAll();
+    if (list.length) all[owner] = list;
+    else delete all[owner];
+    writeAll(all);
+  }
+
+  // newest first
+  function getIds() {
+    return getEntries().map((e) => e.id);
+  }
+
+  function has(id) {
+    return getEntries().some((e) => String(e.id) === String(id));
+  }
+
+  function getCount() {
+    return getEntries().length;
+  }
+
+  function add(id) {
+    if (id === undefined || id === null || has(id)) return;
+    const n = Number(id);
+    saveEntries([
+      { id: Number.isInteger(n) ? n : String(id), addedAt: Date.now() },
+      ...getEntries(),
+    ]);
+  }
+
+  function remove(id) {
+    saveEntries(getEntries().filter((e) => String(e.id) !== String(id)));
+  }
+
+  // returns true when the product is now saved
+  function toggle(id) {
+    if (has(id)) {
+      remove(id);
+      return false;
+    }
+    add(id);
+    return true;
+  }
+
+  /* Saved products from the catalog (CatalogAPI.loadProducts() must have
+     resolved). Products no longer sold are skipped. */
+  function getProducts() {
+    return getIds()
+      .map((id) => window.CatalogAPI.findProduct(id))
+      .filter(Boolean);
+  }
+
+  /* Adds one unit to the cart and drops it from the wishlist. Returns the
+     CartAPI.addToCart result, or null when the product is unknown. Sold-out
+     products stay on the list. */
+  function moveToCart(id) {
+    const product = window.CatalogAPI.findProduct(id);
+    if (!product) return null;
+    const result = window.CartAPI.addToCart({
+      id: product.id,
+      name: product.shortName,
+      price: window.CatalogAPI.getUnitPrice(product),
+      image: product.images?.[0] || "",
+      quantity: 1,
+    });
+    if (result?.quantity > 0) remove(id);
+    return result;
+  }
+
+  // cart page: take the line out of the cart and keep it for later
+  function saveForLater(id) {
+    add(id);
+    window.CartAPI.removeFromCart(id);
+  }
+
+  // a guest list left from before logging in joins the account's list
+  function mergeGuestList() {
+    const owner = ownerKey();
+    const guest = getEntries(GUEST_KEY);
+    if (owner === GUEST_KEY || !guest.length) return;
+    const own = getEntries(owner);
+    const known = new Set(own.map((e) => String(e.id)));
+    const merged = [...guest.filter((e) => !known.has(String(e.id))), ...own];
+    const all = readAll();
+    delete all[GUEST_KEY];
+    all[owner] = merged;
+    writeAll(all);
+  }
+
+  // another tab changed a list, or logged in / out
+  window.addEventListener("storage", (e) => {
+    if (e.key === null || e.key === STORAGE_KEY || e.key === "sessionToken")
+      notify();
+  });
+
+  mergeGuestList();
+
+  window.WishlistAPI = {
+    EVENT_NAME,
+    getIds,
+    has,
+    getCount,
+    add,
+    remove,
+    toggle,
+    getProducts,
+    moveToCart,
+    saveForLater,
+    mergeGuestList,
+    refresh: notify, // e.g. after logging out in this tab
+  };
+})(window, document);
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/* Data-integrity report for the catalog:
+
+     node scripts/validate-catalog.js [path/to/products.json]
+
+   Runs the checks the site runs in the browser (assets/js/catalog-schema.js)
+   and also looks for every image under assets/images. File names are
+   compared exactly, so "dell-15-1.avif" does not pass for "Dell-15-1.avif"
+   (it would on a case-insensitive disk, but not on the web server).
+   Exits with 1 when there are errors; warnings alone exit with 0. */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const CatalogSchemaAPI = require("../assets/js/catalog-schema.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const PRODUCTS_FILE = path.resolve(
+  process.argv[2] || path.join(ROOT, "assets/data/products.json"),
+);
+const SCHEMA_FILE = path.join(ROOT, CatalogSchemaAPI.SCHEMA_URL);
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`Cannot read ${path.relative(ROOT, file)}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// image paths (relative to the site root) with no file of that exact name
+function findMissingImages(products) {
+  const listings = new Map();
+  const exists = (src) => {
+    const dir = path.join(ROOT, path.dirname(src));
+    if (!listings.has(dir))
+      listings.set(dir, fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+    return listings.get(dir).includes(path.basename(src));
+  };
+  const paths = new Set(
+    products.flatMap((p) => (Array.isArray(p?.images) ? p.images : [])),
+  );
+  return [...paths].filter((src) => typeof src !== "string" || !exists(src));
+}
+
+const products = readJson(PRODUCTS_FILE);
+if (!Array.isArray(products)) {
+  console.error("products.json must be an array of products");
+  process.exit(1);
+}
+CatalogSchemaAPI.setSchema(readJson(SCHEMA_FILE));
+
+const issues = CatalogSchemaAPI.validateCatalog(products, {
+  missingImages: findMissingImages(products),
+});
+const errors = CatalogSchemaAPI.errorsOf(issues);
+
+const byProduct = new Map();
+issues.forEach((issue) => {
+  byProduct.set(issue.productId, [
+    ...(byProduct.get(issue.productId) || []),
+    issue,
+  ]);
+});
+byProduct.forEach((list, id) => {
+  const product = products.find((p) => p?.id === id);
+  console.log(`#${id} ${product?.shortName || ""}`);
+  list.forEach((issue) =>
+    console.log(`  ${issue.level === "error" ? "✖" : "⚠"} ${issue.message}`),
+  );
+});
+
+console.log(
+  `${path.relative(ROOT, PRODUCTS_FILE)}: ${products.length} products, ` +
+    `${errors.length} error${errors.length === 1 ? "" : "s"}, ` +
+    `${issues.length - errors.length} warning${issues.length - errors.length === 1 ? "" : "s"}`,
+);
+process.exit(errors.length ? 1 : 0);